@@ -0,0 +1,351 @@
+// admin.js
+// Handles: named phrase decks (create, rename, duplicate, delete, reorder, import, export),
+// the deck picker on Setup, and the PIN-protected Decks screen.
+// The Setup textarea is a view onto the selected deck: edits are written back here.
+// Expects you to pass in State + elements + callbacks (setScreen/loadSettings/etc).
+
+import { parsePhrases } from './phrases.js';
+import { decksToJson, deckToCsv, downloadFile, slugify } from './deckio.js';
+
+const DECKS_KEY = 'gtp.v1.decks';
+
+export function createAdminController({
+  State,
+  elements,
+  setScreen,
+  loadSettings,
+  saveSettings,
+  onSelectedDeckChanged,
+}) {
+  const {
+    phrasesInput,
+    deckSelect,
+    manageDecksBtn,
+    deckList,
+    deckNewBtn,
+    adminPinBtn,
+    adminDoneBtn,
+    exportJsonBtn,
+    exportCsvBtn,
+    exportAllBtn,
+  } = elements;
+
+  // Store shape: { decks: [{ id, name, text, updatedAt }], selectedId, pin }
+  let Store = { decks: [], selectedId: null, pin: '' };
+
+  // -----------------------------
+  // Persistence
+  // -----------------------------
+  function loadStore() {
+    try {
+      const raw = localStorage.getItem(DECKS_KEY);
+      if (!raw) return null;
+      const parsed = JSON.parse(raw);
+      if (!parsed || !Array.isArray(parsed.decks)) return null;
+      return parsed;
+    } catch {
+      return null;
+    }
+  }
+
+  function persist() {
+    try {
+      localStorage.setItem(DECKS_KEY, JSON.stringify(Store));
+    } catch {
+      // ignore
+    }
+  }
+
+  function newId() {
+    return `d${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  function makeDeck(name, text = '') {
+    return { id: newId(), name, text, updatedAt: Date.now() };
+  }
+
+  // One-time move from the old single `phrasesText` setting into a deck
+  function migrateFromSettings() {
+    const settings = loadSettings() || {};
+    const text = typeof settings.phrasesText === 'string' ? settings.phrasesText : '';
+    const deck = makeDeck('My list', text);
+    Store = { decks: [deck], selectedId: deck.id, pin: '' };
+    persist();
+    if ('phrasesText' in settings) saveSettings({ phrasesText: undefined });
+  }
+
+  // -----------------------------
+  // Deck queries/mutations
+  // -----------------------------
+  function getDecks() {
+    return Store.decks.slice();
+  }
+
+  function findIndex(id) {
+    return Store.decks.findIndex((d) => d.id === id);
+  }
+
+  function getSelectedDeck() {
+    return Store.decks[findIndex(Store.selectedId)] || Store.decks[0] || null;
+  }
+
+  function uniqueName(base) {
+    const names = new Set(Store.decks.map((d) => d.name));
+    if (!names.has(base)) return base;
+    let n = 2;
+    while (names.has(`${base} (${n})`)) n += 1;
+    return `${base} (${n})`;
+  }
+
+  function selectDeck(id) {
+    if (findIndex(id) < 0) return;
+    Store.selectedId = id;
+    persist();
+    syncInputFromDeck();
+    renderDeckSelect();
+    renderDeckList();
+    onSelectedDeckChanged?.(getSelectedDeck());
+  }
+
+  function setSelectedDeckText(text) {
+    const deck = getSelectedDeck();
+    if (!deck) return;
+    deck.text = text;
+    deck.updatedAt = Date.now();
+    persist();
+  }
+
+  function createDeck(name, text = '') {
+    const deck = makeDeck(uniqueName(name), text);
+    Store.decks.push(deck);
+    selectDeck(deck.id);
+    return deck;
+  }
+
+  // Appends already-validated decks ({ name, text }) and selects the first one
+  function importDecks(list) {
+    const added = list.map((d) => makeDeck(uniqueName(d.name), d.text));
+    if (added.length === 0) return [];
+    Store.decks.push(...added);
+    selectDeck(added[0].id);
+    return added;
+  }
+
+  function renameDeck(id, name) {
+    const i = findIndex(id);
+    const clean = (name || '').trim();
+    if (i < 0 || !clean) return;
+    Store.decks[i].name = clean;
+    Store.decks[i].updatedAt = Date.now();
+    persist();
+    renderDeckSelect();
+    renderDeckList();
+  }
+
+  function duplicateDeck(id) {
+    const i = findIndex(id);
+    if (i < 0) return;
+    const src = Store.decks[i];
+    const copy = makeDeck(uniqueName(`${src.name} copy`), src.text);
+    Store.decks.splice(i + 1, 0, copy);
+    persist();
+    renderDeckSelect();
+    renderDeckList();
+  }
+
+  function deleteDeck(id) {
+    const i = findIndex(id);
+    if (i < 0) return;
+    Store.decks.splice(i, 1);
+
+    // Never leave the app without a deck to edit
+    if (Store.decks.length === 0) Store.decks.push(makeDeck('My list'));
+    if (Store.selectedId === id) {
+      const next = Store.decks[Math.min(i, Store.decks.length - 1)];
+      selectDeck(next.id);
+      return;
+    }
+    persist();
+    renderDeckSelect();
+    renderDeckList();
+  }
+
+  function moveDeck(id, dir /* -1 | 1 */) {
+    const i = findIndex(id);
+    const j = i + dir;
+    if (i < 0 || j < 0 || j >= Store.decks.length) return;
+    [Store.decks[i], Store.decks[j]] = [Store.decks[j], Store.decks[i]];
+    persist();
+    renderDeckSelect();
+    renderDeckList();
+  }
+
+  // -----------------------------
+  // Rendering
+  // -----------------------------
+  function syncInputFromDeck() {
+    const deck = getSelectedDeck();
+    phrasesInput.value = deck ? deck.text : '';
+  }
+
+  function renderDeckSelect() {
+    if (!deckSelect) return;
+    deckSelect.textContent = '';
+    for (const deck of Store.decks) {
+      const opt = document.createElement('option');
+      opt.value = deck.id;
+      opt.textContent = deck.name;
+      deckSelect.appendChild(opt);
+    }
+    const selected = getSelectedDeck();
+    if (selected) deckSelect.value = selected.id;
+  }
+
+  function makeButton(label, title, onClick, disabled = false) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'btn btn-ghost btn-sm';
+    btn.textContent = label;
+    btn.title = title;
+    btn.setAttribute('aria-label', title);
+    btn.disabled = disabled;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  function renderDeckList() {
+    if (!deckList) return;
+    deckList.textContent = '';
+    const selected = getSelectedDeck();
+
+    Store.decks.forEach((deck, i) => {
+      const li = document.createElement('li');
+      li.className = 'deck-item';
+      li.classList.toggle('deck-item-selected', deck === selected);
+
+      const pick = document.createElement('button');
+      pick.type = 'button';
+      pick.className = 'deck-pick';
+      pick.addEventListener('click', () => selectDeck(deck.id));
+
+      const name = document.createElement('span');
+      name.className = 'deck-name';
+      name.textContent = deck.name;
+
+      const meta = document.createElement('span');
+      meta.className = 'meta';
+      const n = parsePhrases(deck.text).length;
+      meta.textContent = `${n} phrase${n === 1 ? '' : 's'}${deck === selected ? ' · selected' : ''}`;
+
+      pick.append(name, meta);
+
+      const actions = document.createElement('div');
+      actions.className = 'row gap-xs';
+      actions.append(
+        makeButton('↑', `Move ${deck.name} up`, () => moveDeck(deck.id, -1), i === 0),
+        makeButton('↓', `Move ${deck.name} down`, () => moveDeck(deck.id, 1), i === Store.decks.length - 1),
+        makeButton('Rename', `Rename ${deck.name}`, () => {
+          const next = prompt('Deck name', deck.name);
+          if (next != null) renameDeck(deck.id, next);
+        }),
+        makeButton('Duplicate', `Duplicate ${deck.name}`, () => duplicateDeck(deck.id)),
+        makeButton('Delete', `Delete ${deck.name}`, () => {
+          if (confirm(`Delete "${deck.name}"? This cannot be undone.`)) deleteDeck(deck.id);
+        })
+      );
+
+      li.append(pick, actions);
+      deckList.appendChild(li);
+    });
+
+    if (adminPinBtn) adminPinBtn.textContent = Store.pin ? 'Change PIN' : 'Set PIN';
+  }
+
+  // -----------------------------
+  // Protected screen
+  // -----------------------------
+  // The PIN only keeps little hands out of the deck editor; it is not a security boundary.
+  function unlock() {
+    if (!Store.pin) return true;
+    const entered = prompt('Enter the decks PIN');
+    if (entered == null) return false;
+    if (entered.trim() === Store.pin) return true;
+    alert('Wrong PIN.');
+    return false;
+  }
+
+  function openAdmin() {
+    if (State.game.inRound()) return;
+    if (!unlock()) return;
+    renderDeckList();
+    setScreen('admin');
+  }
+
+  function closeAdmin() {
+    syncInputFromDeck();
+    setScreen('setup');
+    onSelectedDeckChanged?.(getSelectedDeck());
+  }
+
+  function changePin() {
+    const next = prompt('New PIN (leave empty to remove the PIN)', '');
+    if (next == null) return;
+    Store.pin = next.trim();
+    persist();
+    renderDeckList();
+  }
+
+  // -----------------------------
+  // Export (file downloads)
+  // -----------------------------
+  function exportSelected(format) {
+    const deck = getSelectedDeck();
+    if (!deck) return;
+    if (format === 'csv') {
+      downloadFile(`${slugify(deck.name)}.csv`, deckToCsv(deck), 'text/csv');
+    } else {
+      downloadFile(`${slugify(deck.name)}.json`, decksToJson([deck]), 'application/json');
+    }
+  }
+
+  function exportAll() {
+    downloadFile('guess-the-phrase-decks.json', decksToJson(Store.decks), 'application/json');
+  }
+
+  // Wire everything once
+  function initAdmin() {
+    const stored = loadStore();
+    if (stored && stored.decks.length > 0) {
+      Store = { decks: stored.decks, selectedId: stored.selectedId, pin: stored.pin || '' };
+    } else {
+      migrateFromSettings();
+    }
+
+    syncInputFromDeck();
+    renderDeckSelect();
+
+    deckSelect?.addEventListener('change', () => selectDeck(deckSelect.value));
+    manageDecksBtn?.addEventListener('click', openAdmin);
+    deckNewBtn?.addEventListener('click', () => {
+      const name = prompt('New deck name', 'New deck');
+      if (name == null) return;
+      createDeck(name.trim() || 'New deck');
+    });
+    adminPinBtn?.addEventListener('click', changePin);
+    adminDoneBtn?.addEventListener('click', closeAdmin);
+    exportJsonBtn?.addEventListener('click', () => exportSelected('json'));
+    exportCsvBtn?.addEventListener('click', () => exportSelected('csv'));
+    exportAllBtn?.addEventListener('click', exportAll);
+  }
+
+  return {
+    initAdmin,
+    openAdmin,
+    getDecks,
+    getSelectedDeck,
+    setSelectedDeckText,
+    selectDeck,
+    createDeck,
+    importDecks,
+  };
+}
@@ -3,6 +3,20 @@
 
 import { createMovementController } from './movement.js';
 import { createAdminController } from './admin.js';
+import { createTeamsController } from './teams.js';
+import { createHistoryController, formatSeconds } from './history.js';
+import { buildDeck, DECK_STRATEGIES } from './deckbuilder.js';
+import { parsePhraseText, collectFacets, filterPhrases, DIFFICULTY_MAX } from './phrases.js';
+import { decksFromJson, deckFromCsv, fileKind, baseName, downloadFile } from './deckio.js';
+import { createShareController } from './share.js';
+import { createCalibrationController } from './calibration.js';
+import { createGameState, isRoundPhase } from './gamestate.js';
+import { createSoundController } from './sound.js';
+import { createHapticsController } from './haptics.js';
+import { GAME_MODES, PERFORM_STYLES, createRules, gameModeAmount } from './gamemodes.js';
+import { createRemoteController } from './remote.js';
+import { createBroadcastController } from './broadcast.js';
+import { createReelController } from './reel.js';
 
 (() => {
   'use strict';
@@ -13,27 +27,171 @@ import { createAdminController } from './admin.js';
   const screenSetup = $('#screenSetup');
   const screenGame = $('#screenGame');
   const screenResults = $('#screenResults');
+  const screenAdmin = $('#screenAdmin');
+  const screenTurn = $('#screenTurn');
+  const screenHistory = $('#screenHistory');
+  const screenCalibrate = $('#screenCalibrate');
+  const screenRemote = $('#screenRemote');
 
   // Setup elements
+  const resumeCard = $('#resumeCard');
+  const resumeInfo = $('#resumeInfo');
+  const resumeSavedBtn = $('#resumeSavedBtn');
+  const discardSavedBtn = $('#discardSavedBtn');
   const phrasesInput = $('#phrasesInput');
   const fileInput = $('#fileInput');
   const timerSecondsInput = $('#timerSeconds');
-  const shuffleOnStartInput = $('#shuffleOnStart');
+  const deckStrategyInput = $('#deckStrategy');
+  const avoidRecentRoundsInput = $('#avoidRecentRounds');
   const loopWhenFinishedInput = $('#loopWhenFinished');
-  const vibrateOnActionInput = $('#vibrateOnAction');
+  const recordTracesInput = $('#recordTraces');
   const tiltEnabledInput = $('#tiltEnabled');
+  const hintAutoSecondsInput = $('#hintAutoSeconds');
+  const gameModeInput = $('#gameMode');
+  const gameModeAmountRow = $('#gameModeAmountRow');
+  const gameModeAmountLabel = $('#gameModeAmountLabel');
+  const gameModeAmountInput = $('#gameModeAmount');
+  const gameModeHint = $('#gameModeHint');
   const motionPermBtn = $('#motionPermBtn');
+  const keyBindingsList = $('#keyBindingsList');
+  const keyBindingsResetBtn = $('#keyBindingsResetBtn');
+  const gamepadBindingsList = $('#gamepadBindingsList');
+  const gamepadResetBtn = $('#gamepadResetBtn');
+  const gamepadStatus = $('#gamepadStatus');
 
   const startBtn = $('#startBtn');
   const clearBtn = $('#clearBtn');
   const useSampleBtn = $('#useSampleBtn');
   const phraseCountMeta = $('#phraseCountMeta');
+  const filterRow = $('#filterRow');
+  const filterCategoryInput = $('#filterCategory');
+  const filterTagInput = $('#filterTag');
+  const filterDifficultyInput = $('#filterDifficulty');
+  const parseWarningsEl = $('#parseWarnings');
+  const importReport = $('#importReport');
+  const deckSelect = $('#deckSelect');
+  const manageDecksBtn = $('#manageDecksBtn');
+  const shareDeckBtn = $('#shareDeckBtn');
+
+  // Share dialog elements
+  const shareDialog = $('#shareDialog');
+  const shareTitle = $('#shareTitle');
+  const shareCanvas = $('#shareCanvas');
+  const shareMessage = $('#shareMessage');
+  const shareLinkInput = $('#shareLink');
+  const shareCopyBtn = $('#shareCopyBtn');
+  const shareNativeBtn = $('#shareNativeBtn');
+  const shareCloseBtn = $('#shareCloseBtn');
+
+  // Spectator view (second window)
+  const spectatorBtn = $('#spectatorBtn');
+
+  // Pairing (remote reveal) elements
+  const pairBtn = $('#pairBtn');
+  const pairDialog = $('#pairDialog');
+  const pairStatus = $('#pairStatus');
+  const pairInviteBtn = $('#pairInviteBtn');
+  const pairDisconnectBtn = $('#pairDisconnectBtn');
+  const pairCodeOut = $('#pairCodeOut');
+  const pairCanvas = $('#pairCanvas');
+  const pairCodeInput = $('#pairCode');
+  const pairCopyBtn = $('#pairCopyBtn');
+  const pairReplyInput = $('#pairReply');
+  const pairVideo = $('#pairVideo');
+  const pairConnectBtn = $('#pairConnectBtn');
+  const pairScanBtn = $('#pairScanBtn');
+  const pairCloseBtn = $('#pairCloseBtn');
+
+  // Remote screen elements (following the paired device's round)
+  const remoteTime = $('#remoteTime');
+  const remoteProgress = $('#remoteProgress');
+  const remoteScore = $('#remoteScore');
+  const remoteStatus = $('#remoteStatus');
+  const remoteStyle = $('#remoteStyle');
+  const remotePhrase = $('#remotePhrase');
+  const remoteHint = $('#remoteHint');
+  const remoteForbidden = $('#remoteForbidden');
+  const remoteGotBtn = $('#remoteGotBtn');
+  const remotePassBtn = $('#remotePassBtn');
+  const remoteBuzzBtn = $('#remoteBuzzBtn');
+  const remotePauseBtn = $('#remotePauseBtn');
+  const remoteEndBtn = $('#remoteEndBtn');
+  const remoteLeaveBtn = $('#remoteLeaveBtn');
+
+  // Teams elements
+  const teamModeInput = $('#teamMode');
+  const teamsPanel = $('#teamsPanel');
+  const teamList = $('#teamList');
+  const addTeamBtn = $('#addTeamBtn');
+  const turnsPerTeamInput = $('#turnsPerTeam');
+  const targetScoreInput = $('#targetScore');
+  const turnTeamName = $('#turnTeamName');
+  const turnRoundLabel = $('#turnRoundLabel');
+  const turnStandings = $('#turnStandings');
+  const turnReadyBtn = $('#turnReadyBtn');
+  const turnBackBtn = $('#turnBackBtn');
+
+  // History elements
+  const historyBtn = $('#historyBtn');
+  const historyBackBtn = $('#historyBackBtn');
+  const historyClearBtn = $('#historyClearBtn');
+  const historyDeckFilter = $('#historyDeckFilter');
+  const phraseStatsBody = $('#phraseStatsBody');
+  const phraseStatsEmpty = $('#phraseStatsEmpty');
+  const historyRounds = $('#historyRounds');
+
+  // Tilt calibration elements
+  const tiltProfileSelect = $('#tiltProfile');
+  const calibrateTiltBtn = $('#calibrateTiltBtn');
+  const calBeta = $('#calBeta');
+  const calStatus = $('#calStatus');
+  const calPoseList = $('#calPoseList');
+  const calResult = $('#calResult');
+  const calNameInput = $('#calName');
+  const calSaveBtn = $('#calSaveBtn');
+  const calProfileList = $('#calProfileList');
+  const calBackBtn = $('#calBackBtn');
+
+  // Sound options
+  const soundVolumeInput = $('#soundVolume');
+  const soundMutedInput = $('#soundMuted');
+  const soundTestBtn = $('#soundTestBtn');
+
+  // Haptics options
+  const hapticsPresetSelect = $('#hapticsPreset');
+  const hapticsTestList = $('#hapticsTestList');
+  const hapticsHint = $('#hapticsHint');
+
+  // Reaction reel (options toggle + results card)
+  const reelEnabledInput = $('#reelEnabled');
+  const reelHint = $('#reelHint');
+  const reelCard = $('#reelCard');
+  const reelVideo = $('#reelVideo');
+  const reelStatus = $('#reelStatus');
+  const reelDownloadBtn = $('#reelDownloadBtn');
+  const reelDiscardBtn = $('#reelDiscardBtn');
+
+  // Decks (admin) elements
+  const deckList = $('#deckList');
+  const deckNewBtn = $('#deckNewBtn');
+  const adminPinBtn = $('#adminPinBtn');
+  const adminDoneBtn = $('#adminDoneBtn');
+  const exportJsonBtn = $('#exportJsonBtn');
+  const exportCsvBtn = $('#exportCsvBtn');
+  const exportAllBtn = $('#exportAllBtn');
 
   // Game elements
   const timeLeftEl = $('#timeLeft');
   const progressEl = $('#progress');
   const remainingEl = $('#remaining');
+  const passesLeftWrap = $('#passesLeftWrap');
+  const passesLeftEl = $('#passesLeft');
   const phraseEl = $('#phrase');
+  const hintEl = $('#hint');
+  const cardStyleEl = $('#cardStyle');
+  const forbiddenEl = $('#forbidden');
+  const hintBtn = $('#hintBtn');
+  const buzzBtn = $('#buzzBtn');
   const feedbackEl = $('#feedback');
   const gameStage = $('#gameStage');
   const tapLeft = $('#tapLeft');
@@ -41,14 +199,34 @@ import { createAdminController } from './admin.js';
   const nextBtn = $('#nextBtn');
   const endBtn = $('#endBtn');
   const tiltStatus = $('#tiltStatus');
+  const turnBadge = $('#turnBadge');
+  const countdownEl = $('#countdown');
+  const countdownNumber = $('#countdownNumber');
+  const countdownHint = $('#countdownHint');
+  const pauseBtn = $('#pauseBtn');
+  const pauseOverlay = $('#pauseOverlay');
+  const pauseInfo = $('#pauseInfo');
+  const resumeBtn = $('#resumeBtn');
+  const pauseEndBtn = $('#pauseEndBtn');
 
   // Results elements
   const statTotal = $('#statTotal');
   const statGot = $('#statGot');
   const statPass = $('#statPass');
+  const statBuzzWrap = $('#statBuzzWrap');
+  const statBuzz = $('#statBuzz');
+  const statScoreWrap = $('#statScoreWrap');
+  const statScore = $('#statScore');
   const roundDetails = $('#roundDetails');
+  const hintedCard = $('#hintedCard');
+  const hintedList = $('#hintedList');
+  const standingsCard = $('#standingsCard');
+  const standingsList = $('#standingsList');
+  const matchStatus = $('#matchStatus');
+  const roundLogEl = $('#roundLog');
   const playAgainBtn = $('#playAgainBtn');
   const editListBtn = $('#editListBtn');
+  const downloadTraceBtn = $('#downloadTraceBtn');
 
   // Fullscreen
   const fullscreenBtn = $('#fullscreenBtn');
@@ -76,55 +254,58 @@ import { createAdminController } from './admin.js';
     }
   }
 
-  // Phrase parsing rules
-  // Supports either:
-  //   Phrase
-  //   Phrase :: description/background
-  // Lines starting with # are ignored.
-  function parsePhrases(text) {
-    return text
-      .split(/\r?\n/)
-      .map((l) => l.trim())
-      .filter((l) => l.length > 0)
-      .filter((l) => !l.startsWith('#'))
-      .map((line) => {
-        const parts = line.split('::');
-        const phrase = (parts[0] ?? '').trim();
-        // allow extra :: inside description by joining remainder back
-        const hint = parts.slice(1).join('::').trim();
-        return { phrase, hint };
-      })
-      .filter((o) => o.phrase.length > 0);
-  }
-
-  // Fisher–Yates shuffle
-  function fisherYatesShuffle(arr) {
-    for (let i = arr.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [arr[i], arr[j]] = [arr[j], arr[i]];
-    }
-    return arr;
-  }
-
   // App state
   const State = {
-    mode: 'setup', // 'setup' | 'running' | 'finished'
+    game: null, // phase state machine (gamestate.js), set up below
 
-    // phrases are objects: { phrase: string, hint: string }
+    // phrases are objects: { phrase, hint, forbidden, category, difficulty, tags } (see phrases.js)
+    // deck items also carry hintUsed: boolean once the hint was revealed, and in charades mode
+    // style: how to perform the card (a PERFORM_STYLES key)
     phrasesOriginal: [],
     deck: [],
     index: 0,
     shown: 0,
     got: 0,
     pass: 0,
+    buzz: 0, // Taboo: forbidden word said
+    score: 0, // points under the round's rules (see gamemodes.js)
+
+    // Per-card round log: { phrase, hint, action, originalAction, ms, hintUsed, style, at }
+    log: [],
+    showing: null, // deck card on screen and not yet answered (logged as unanswered if the round ends)
+    cardShownAt: 0,
+    roundStartedAt: 0,
+    roundRecord: null, // last finished round as saved to history
+    roundSaving: null, // the latest queued history write (see queueRoundSave)
+    roundStarting: false, // startRound is waiting for phrase stats
+    roundStrategy: 'shuffle', // deck strategy actually used this round
+
+    // Game mode: chosen in Options; `rules` is the rule set of the current/last round
+    gameMode: 'classic', // see GAME_MODES in gamemodes.js
+    gameModeAmounts: {}, // mode -> its N (passes, cards, bonus seconds)
+    rules: createRules('classic'),
 
     timerSeconds: 60,
-    timeLeft: 60,
+    timeLeft: 60,      // whole seconds shown in the HUD
+    timeLeftMs: 60000, // exact remaining time; survives pauses
+    roundEndsAt: 0,
     timerId: null,
+    pausedAt: 0,
+
+    // Setup filters ('' / 0 = any)
+    filterCategory: '',
+    filterTag: '',
+    filterMaxDifficulty: 0,
 
-    shuffleOnStart: true,
+    deckStrategy: 'shuffle', // see DECK_STRATEGIES in deckbuilder.js
+    avoidRecentRounds: 2,
     loopWhenFinished: false,
-    vibrateOnAction: true,
+    recordTraces: false, // keep raw input of each round for tools/replay.mjs
+    lastTrace: null,
+
+    // Hints
+    hintAutoSeconds: 0, // 0 = only on demand
+    hintTimerId: null,
 
     // Tilt
     tiltEnabled: false,
@@ -139,50 +320,173 @@ import { createAdminController } from './admin.js';
     wakeLock: null
   };
 
-  // Tilt tuning knobs
-  const TILT = {
-    forwardTriggerDelta: 18,    // forward/down => GOT IT
-    backwardTriggerDelta: -18,  // backward/up => PASS
-    neutralZoneAbs: 10,         // return within this to re-arm
-    minIntervalMs: 700,         // debounce
-    baselineSmoothing: 0.12     // baseline adjustment near neutral
-  };
-
   // -----------------------------
   // UI helpers
   // -----------------------------
-  function setScreen(mode) {
-    State.mode = mode;
-    const isSetup = mode === 'setup';
-    const isGame = mode === 'running';
-    const isResults = mode === 'finished';
+  // Screens follow the phase; modules ask for a phase through setScreen()
+  const Game = createGameState({ onChange: renderPhase });
+  State.game = Game;
+
+  function setScreen(phase) {
+    return Game.go(phase);
+  }
+
+  function renderPhase(phase, prev) {
+    // Leaving Results by any route (Next team, Edit list, History...) counts the team's round
+    if (prev === 'finished' && phase !== 'finished') Teams.commitRound();
+    pauseOverlay.hidden = phase !== 'paused';
+    if (phase === 'paused') renderPauseOverlay();
+    if (phase !== 'countdown') countdownEl.hidden = true;
+    if (phase !== 'remote') mirrorRound();
+    Spectator.emit('status');
+
+    // Leave "Round ended" on the game screen for a moment before the results
+    if (phase === 'finished' && isRoundPhase(prev)) {
+      showFeedback('end', 'Round ended');
+      setTimeout(() => {
+        hideFeedback();
+        if (Game.is('finished')) showScreen(phase);
+      }, 250);
+      return;
+    }
+    showScreen(phase);
+    if (phase === 'setup') renderResumeCard();
+    if (isRoundPhase(phase) && !isRoundPhase(prev)) Movement.onGameScreenEntered();
+  }
+
+  function showScreen(phase) {
+    const isSetup = phase === 'setup';
+    const isGame = isRoundPhase(phase);
+    const isResults = phase === 'finished';
+    const isAdmin = phase === 'admin';
+    const isTurn = phase === 'turn';
+    const isHistory = phase === 'history';
+    const isCalibrate = phase === 'calibrate';
+    const isRemote = phase === 'remote';
 
     screenSetup.classList.toggle('screen-active', isSetup);
     screenGame.classList.toggle('screen-active', isGame);
     screenResults.classList.toggle('screen-active', isResults);
+    screenAdmin.classList.toggle('screen-active', isAdmin);
+    screenTurn.classList.toggle('screen-active', isTurn);
+    screenHistory.classList.toggle('screen-active', isHistory);
+    screenCalibrate.classList.toggle('screen-active', isCalibrate);
+    screenRemote.classList.toggle('screen-active', isRemote);
 
     screenSetup.setAttribute('aria-hidden', String(!isSetup));
     screenGame.setAttribute('aria-hidden', String(!isGame));
     screenResults.setAttribute('aria-hidden', String(!isResults));
+    screenAdmin.setAttribute('aria-hidden', String(!isAdmin));
+    screenTurn.setAttribute('aria-hidden', String(!isTurn));
+    screenHistory.setAttribute('aria-hidden', String(!isHistory));
+    screenCalibrate.setAttribute('aria-hidden', String(!isCalibrate));
+    screenRemote.setAttribute('aria-hidden', String(!isRemote));
 
     document.body.classList.toggle('game-mode', isGame);
 
-    if (tiltStatus) {
-      tiltStatus.textContent = isGame ? tiltStatusText(State.tiltEnabled ? 'Ready' : 'Off') : '';
+    if (!isGame && tiltStatus) tiltStatus.textContent = '';
+  }
+
+  // Parsed list with the Setup filters applied: what a round will actually deal
+  function roundPhrases() {
+    const { phrases } = parsePhraseText(phrasesInput.value);
+    return filterPhrases(phrases, {
+      category: State.filterCategory,
+      tag: State.filterTag,
+      maxDifficulty: State.filterMaxDifficulty
+    });
+  }
+
+  function fillSelect(select, anyLabel, options, current) {
+    select.textContent = '';
+    const any = document.createElement('option');
+    any.value = '';
+    any.textContent = anyLabel;
+    select.appendChild(any);
+    for (const [value, label] of options) {
+      const opt = document.createElement('option');
+      opt.value = String(value);
+      opt.textContent = label;
+      select.appendChild(opt);
+    }
+    const keep = options.some(([value]) => String(value) === String(current));
+    select.value = keep ? String(current) : '';
+    return keep;
+  }
+
+  function renderFilters(phrases) {
+    const { categories, tags, hasDifficulty } = collectFacets(phrases);
+    filterRow.hidden = categories.length === 0 && tags.length === 0 && !hasDifficulty;
+
+    // Filters that no longer match anything in this list fall back to "any"
+    if (!fillSelect(filterCategoryInput, 'All categories', categories.map((c) => [c, c]), State.filterCategory)) {
+      State.filterCategory = '';
+    }
+    if (!fillSelect(filterTagInput, 'All tags', tags.map((t) => [t, `#${t}`]), State.filterTag)) {
+      State.filterTag = '';
+    }
+    const levels = [];
+    for (let d = 1; d <= DIFFICULTY_MAX; d++) levels.push([d, d === 1 ? 'Difficulty 1 only' : `Difficulty ≤ ${d}`]);
+    if (!fillSelect(filterDifficultyInput, 'Any difficulty', hasDifficulty ? levels : [], State.filterMaxDifficulty)) {
+      State.filterMaxDifficulty = 0;
+    }
+    filterTagInput.hidden = tags.length === 0;
+    filterCategoryInput.hidden = categories.length === 0;
+    filterDifficultyInput.hidden = !hasDifficulty;
+  }
+
+  const MAX_WARNINGS_SHOWN = 6;
+
+  function renderParseWarnings(warnings) {
+    parseWarningsEl.textContent = '';
+    parseWarningsEl.hidden = warnings.length === 0;
+
+    for (const w of warnings.slice(0, MAX_WARNINGS_SHOWN)) {
+      const li = document.createElement('li');
+      li.textContent = `Line ${w.line}: ${w.message}`;
+      parseWarningsEl.appendChild(li);
+    }
+    if (warnings.length > MAX_WARNINGS_SHOWN) {
+      const li = document.createElement('li');
+      li.textContent = `…and ${warnings.length - MAX_WARNINGS_SHOWN} more`;
+      parseWarningsEl.appendChild(li);
     }
   }
 
   function updatePhraseCountMeta() {
-    const list = parsePhrases(phrasesInput.value);
-    phraseCountMeta.textContent = list.length
-      ? `${list.length} phrase${list.length === 1 ? '' : 's'} ready`
-      : 'Paste or load a list to start';
+    const { phrases, warnings } = parsePhraseText(phrasesInput.value);
+    renderFilters(phrases);
+    renderParseWarnings(warnings);
+
+    const list = roundPhrases();
+    if (phrases.length === 0) {
+      phraseCountMeta.textContent = 'Paste or load a list to start';
+    } else if (list.length === phrases.length) {
+      phraseCountMeta.textContent = `${list.length} phrase${list.length === 1 ? '' : 's'} ready`;
+    } else {
+      phraseCountMeta.textContent = `${list.length} of ${phrases.length} phrases match the filters`;
+    }
+  }
+
+  // Start is blocked with a message when nothing is playable; returns the list otherwise
+  function playablePhrasesOrAlert() {
+    const phrases = roundPhrases();
+    if (phrases.length > 0) return phrases;
+    const hasAny = parsePhraseText(phrasesInput.value).phrases.length > 0;
+    alert(hasAny ? 'No phrases match the current filters.' : 'Please add at least one phrase to start.');
+    return null;
   }
 
   function updateHUD() {
-    timeLeftEl.textContent = String(State.timeLeft);
+    timeLeftEl.textContent = State.rules.timed ? String(State.timeLeft) : '—';
     progressEl.textContent = `${State.shown} / ${State.deck.length}`;
-    remainingEl.textContent = String(Math.max(0, State.deck.length - State.shown));
+    const cardsLeft = State.rules.cardsLeft(State);
+    remainingEl.textContent = String(cardsLeft ?? Math.max(0, State.deck.length - State.shown));
+    // Limited passes: show the count before "No passes left" comes as a surprise
+    const passesLeft = State.rules.passesLeft(State);
+    passesLeftWrap.hidden = passesLeft === null;
+    passesLeftEl.textContent = String(passesLeft ?? 0);
+    buzzBtn.hidden = !State.rules.hasBuzz;
   }
 
   function showFeedback(kind, text) {
@@ -203,239 +507,833 @@ import { createAdminController } from './admin.js';
   // -----------------------------
   // Gameplay
   // -----------------------------
-  function buildDeck(phrases) {
-    const deck = phrases.map((p) => ({ ...p })); // copy objects
-    if (State.shuffleOnStart) fisherYatesShuffle(deck);
-    return deck;
-  }
-
   function renderCurrentPhrase() {
     const item = State.deck[State.index];
     phraseEl.textContent = item?.phrase ?? 'Done!';
+    State.showing = item ?? null;
+    State.cardShownAt = Date.now();
+    hideHint();
+    renderCardExtras(item);
+
+    hintBtn.disabled = !item?.hint;
+    scheduleAutoHint();
+    mirrorRound();
+    Reel.showPhrase(item?.phrase ?? '');
   }
 
-  function maybeVibrate(action) {
-    if (!State.vibrateOnAction) return;
-    if (!('vibrate' in navigator)) return;
-    try {
-      if (action === 'got') navigator.vibrate(20);
-      else if (action === 'pass') navigator.vibrate([12, 30, 12]);
-    } catch {
-      // ignore
+  // Clue-giver modes: the card's performance style (charades) and forbidden words (Taboo)
+  function renderCardExtras(item) {
+    const style = PERFORM_STYLES[item?.style] || '';
+    cardStyleEl.textContent = style;
+    cardStyleEl.hidden = !style;
+
+    const words = State.rules.showForbidden ? item?.forbidden || [] : [];
+    forbiddenEl.textContent = '';
+    forbiddenEl.hidden = words.length === 0;
+    for (const word of words) {
+      const li = document.createElement('li');
+      li.textContent = word;
+      forbiddenEl.appendChild(li);
     }
   }
 
-  function advance(action /* 'got' | 'pass' | 'next' */) {
-    if (State.mode !== 'running') return;
+  // -----------------------------
+  // Hints ("phrase :: hint")
+  // -----------------------------
+  function clearHintTimer() {
+    if (State.hintTimerId) {
+      clearTimeout(State.hintTimerId);
+      State.hintTimerId = null;
+    }
+  }
 
-    const current = State.deck[State.index];
-    if (!current) {
-      if (State.loopWhenFinished && State.deck.length > 0) {
-        State.index = 0;
-        renderCurrentPhrase();
-        return;
-      }
-      endRound('Reached the end of the list');
+  // Counts from when the card appeared (pauses excluded, see resumeRound)
+  function scheduleAutoHint() {
+    clearHintTimer();
+    const item = State.deck[State.index];
+    if (!item?.hint || State.hintAutoSeconds <= 0 || !hintEl.hidden) return;
+    const delay = State.hintAutoSeconds * 1000 - (Date.now() - State.cardShownAt);
+    State.hintTimerId = window.setTimeout(revealHint, Math.max(0, delay));
+  }
+
+  function hideHint() {
+    clearHintTimer();
+    hintEl.hidden = true;
+    hintEl.textContent = '';
+  }
+
+  function revealHint() {
+    clearHintTimer();
+    if (!Game.is('running')) return;
+    const item = State.deck[State.index];
+    if (!item?.hint) return;
+    item.hintUsed = true;
+    hintEl.textContent = item.hint;
+    hintEl.hidden = false;
+    saveRoundSnapshot();
+  }
+
+  function advance(action /* 'got' | 'pass' | 'next' | 'buzz' */) {
+    if (!Game.is('running')) return;
+
+    // Nothing to answer between an answer and the next card (showNextCard puts one up)
+    const current = State.showing;
+    if (!current) return;
+
+    // Buzz outside Taboo is simply ignored
+    if (!State.rules.allows(action, State)) {
+      if (action !== 'pass') return;
+      showFeedback('pass', 'No passes left');
+      setTimeout(hideFeedback, 700);
       return;
     }
 
+    hideHint();
+    State.showing = null;
+    State.log.push({
+      phrase: current.phrase,
+      hint: current.hint,
+      action,
+      originalAction: action,
+      ms: Date.now() - State.cardShownAt,
+      hintUsed: !!current.hintUsed,
+      style: current.style || null,
+      at: Date.now()
+    });
+
     State.shown += 1;
     if (action === 'got') State.got += 1;
     if (action === 'pass') State.pass += 1;
+    if (action === 'buzz') State.buzz += 1;
+    State.score = State.rules.score(State.log);
 
-    if (action === 'got') showFeedback('got', 'Got it!');
+    const bonusMs = State.rules.timeBonusMs(action);
+    if (bonusMs) addTime(bonusMs);
+
+    if (action === 'got') showFeedback('got', bonusMs ? `Got it! +${bonusMs / 1000}s` : 'Got it!');
     else if (action === 'pass') showFeedback('pass', 'Pass!');
+    else if (action === 'buzz') showFeedback('end', `Buzz! ${State.rules.buzzPoints}`);
     else showFeedback('', 'Next');
 
-    maybeVibrate(action);
+    Haptics.play(action);
+    if (action !== 'next') Sound.play(action);
+    Reel.showResult(action);
 
     State.index += 1;
     updateHUD();
+    mirrorRound();
+    Spectator.emit('card', { action });
+
+    // Sudden death / card limit
+    const endReason = State.rules.endAfter(action, State);
+    if (endReason) {
+      endRound(endReason);
+      return;
+    }
+    saveRoundSnapshot();
 
-    const atEnd = State.index >= State.deck.length;
     const delay = 420;
 
+    // Paused or ended during the feedback: resumeRound shows the card instead
     setTimeout(() => {
-      hideFeedback();
-      if (atEnd) {
-        if (State.loopWhenFinished && State.deck.length > 0) {
-          State.index = 0;
-          renderCurrentPhrase();
-          updateHUD();
-        } else {
-          endRound('Reached the end of the list');
-        }
-      } else {
-        renderCurrentPhrase();
-      }
+      if (Game.is('running')) showNextCard();
     }, delay);
   }
 
-  function startRound() {
-    const phrases = parsePhrases(phrasesInput.value);
-    if (phrases.length === 0) {
-      alert('Please add at least one phrase to start.');
-      return;
+  // After an answer's feedback: the next card, back to the first one, or the end of the list
+  function showNextCard() {
+    hideFeedback();
+    if (State.index < State.deck.length) {
+      renderCurrentPhrase();
+    } else if (State.loopWhenFinished && State.deck.length > 0) {
+      State.index = 0;
+      renderCurrentPhrase();
+      updateHUD();
+    } else {
+      endRound('Reached the end of the list');
     }
+  }
+
+  async function startRound({ strategy = State.deckStrategy } = {}) {
+    // A second tap while the first one waits for phrase stats would set up the round twice
+    if (State.roundStarting || !Game.can('countdown')) return;
+    const phrases = playablePhrasesOrAlert();
+    if (!phrases) return;
+    Sound.unlock();
+    // Still inside the Start tap, so a camera prompt is allowed; not awaited
+    Reel.start();
 
+    Admin.setSelectedDeckText(phrasesInput.value);
     saveSettings({
-      phrasesText: phrasesInput.value,
       timerSeconds: State.timerSeconds,
-      shuffleOnStart: State.shuffleOnStart,
+      deckStrategy: State.deckStrategy,
+      avoidRecentRounds: State.avoidRecentRounds,
       loopWhenFinished: State.loopWhenFinished,
-      vibrateOnAction: State.vibrateOnAction,
-      tiltEnabled: State.tiltEnabled
+      tiltEnabled: State.tiltEnabled,
+      hintAutoSeconds: State.hintAutoSeconds
     });
 
+    const needsStats = strategy === 'weighted' || strategy === 'curve';
+    let stats;
+    if (needsStats) {
+      State.roundStarting = true;
+      try {
+        stats = await History.getPhraseStats();
+      } finally {
+        State.roundStarting = false;
+      }
+      // Something else (a paired device, a restored round) may have moved on meanwhile
+      if (!Game.can('countdown')) {
+        Reel.cancel();
+        return;
+      }
+    }
+
     State.phrasesOriginal = phrases;
-    State.deck = buildDeck(phrases);
+    State.roundStrategy = strategy;
+    State.rules = createRules(State.gameMode, State.gameModeAmounts[State.gameMode]);
+    const rules = State.rules;
+    State.deck = buildDeck(phrases, { strategy, stats, avoidRecentRounds: State.avoidRecentRounds })
+      .map((p) => ({ ...p, hintUsed: false, style: rules.pickStyle() }));
 
     State.index = 0;
     State.shown = 0;
     State.got = 0;
     State.pass = 0;
+    State.buzz = 0;
+    State.score = 0;
+    State.log = [];
+    State.showing = null;
+    State.roundStartedAt = Date.now();
+    State.roundRecord = null;
 
     State.timeLeft = State.timerSeconds;
+    State.timeLeftMs = State.timerSeconds * 1000;
 
-    // Reset tilt arming/baseline each round
-    State.tiltLastActionAt = 0;
-    State.tiltArmed = true;
-    State.tiltHasBaseline = false;
+    // Reset tilt arming/baseline each round, with the active tilt profile's thresholds
+    Movement.onRoundStartResetTiltState();
+    Movement.setTiltProfile(Calibration.getActiveProfile());
 
-    setScreen('running');
+    if (!Game.go('countdown')) return;
     hideFeedback();
-    renderCurrentPhrase();
+    Teams.renderTurnBadge();
     updateHUD();
 
     tryLockOrientation();
     requestWakeLock();
 
     // Tilt: enable if possible (may require permission)
-    maybeEnableTiltDuringGame();
+    Movement.maybeEnableTiltDuringGame();
 
+    State.lastTrace = null;
+    startCountdown();
+  }
+
+  // countdown -> running: the first card shows, the clock starts and input counts from here
+  function beginPlay() {
+    if (!Game.go('running')) return;
+    renderCurrentPhrase();
+    // A paired device's taps aren't in the trace, so it couldn't be replayed
+    if (State.recordTraces && !Remote.isConnected()) Movement.startTrace();
     startTimer();
+    saveRoundSnapshot();
+  }
+
+  // -----------------------------
+  // Countdown (3-2-1 before each round)
+  // -----------------------------
+  const COUNTDOWN_FROM = 3;
+  const Countdown = { timerId: null, waiting: false };
+
+  // With tilt listening, the 3-2-1 only starts once the phone is steady on the forehead
+  function startCountdown() {
+    stopCountdown();
+    phraseEl.textContent = '';
+    hideHint();
+    renderCardExtras(null);
+    countdownEl.hidden = false;
+
+    // Clue-giver modes: the phone stays in the clue-giver's hand, not on a forehead
+    if (!State.rules.clueGiver && Movement.waitForForehead(runCountdown)) {
+      Countdown.waiting = true;
+      countdownNumber.textContent = '';
+      countdownHint.textContent = 'Put the phone on your forehead and hold still (or tap to start)';
+      return;
+    }
+    runCountdown();
+  }
+
+  function runCountdown() {
+    stopCountdown();
+    let n = COUNTDOWN_FROM;
+
+    const tick = () => {
+      Countdown.timerId = null;
+      if (!Game.is('countdown')) return;
+      if (n === 0) {
+        countdownCue(0);
+        beginPlay();
+        return;
+      }
+      countdownNumber.textContent = String(n);
+      countdownHint.textContent = 'Get ready…';
+      countdownCue(n);
+      mirrorRound();
+      n -= 1;
+      Countdown.timerId = window.setTimeout(tick, 1000);
+    };
+    tick();
+  }
+
+  function stopCountdown() {
+    if (Countdown.timerId) {
+      clearTimeout(Countdown.timerId);
+      Countdown.timerId = null;
+    }
+    Countdown.waiting = false;
+    Movement.cancelForeheadWait();
+  }
+
+  function onCountdownTap() {
+    if (Game.is('countdown') && Countdown.waiting) runCountdown();
+  }
+
+  // Round called off before the first card (End round / Escape during the countdown)
+  function cancelCountdown() {
+    if (!Game.is('countdown')) return;
+    stopCountdown();
+    Reel.cancel();
+    releaseWakeLock();
+    Movement.disableTiltListener();
+    Movement.stopGamepadPolling();
+    if (Teams.isEnabled() && Teams.currentTeam()) {
+      Teams.showTurnScreen();
+    } else {
+      setScreen('setup');
+      updatePhraseCountMeta();
+    }
+  }
+
+  // Beep + buzz per number, a longer higher one for "go"
+  function countdownCue(n) {
+    Sound.play(n === 0 ? 'go' : 'countdown');
+    Haptics.play(n === 0 ? 'go' : 'countdown');
+  }
+
+  // Score only differs from "Got it" when passes or buzzes cost points
+  function renderScore() {
+    statBuzzWrap.hidden = !State.rules.hasBuzz;
+    statBuzz.textContent = String(State.buzz);
+    statScoreWrap.hidden = !State.rules.passPoints && !State.rules.buzzPoints;
+    statScore.textContent = String(State.score);
   }
 
   function renderResults(reason) {
     statTotal.textContent = String(State.shown);
     statGot.textContent = String(State.got);
     statPass.textContent = String(State.pass);
+    renderScore();
 
     const total = State.deck.length;
     const remaining = Math.max(0, total - State.shown);
+    const mode = State.rules.mode === 'classic' ? '' : ` ${State.rules.label}.`;
     roundDetails.textContent =
-      `${reason}. You saw ${State.shown} of ${total} phrase${total === 1 ? '' : 's'} (${remaining} remaining).`;
+      `${reason}.${mode} You saw ${State.shown} of ${total} phrase${total === 1 ? '' : 's'} (${remaining} remaining).`;
+
+    renderHintedCards();
+    renderRoundLog();
+    Teams.renderStandings();
+    playAgainBtn.textContent = Teams.isEnabled() ? Teams.nextLabel() : 'Play again';
+    downloadTraceBtn.hidden = !State.lastTrace;
+  }
+
+  // The referee-corrected log becomes the trace's "expected" decisions, so a fixed
+  // mis-swipe turns into a failing case for tools/replay.mjs until the detector is tuned
+  function downloadTrace() {
+    if (!State.lastTrace) return;
+    const trace = { ...State.lastTrace, expected: State.log.map((e) => e.action) };
+    const stamp = trace.recordedAt.replace(/[-:]/g, '').replace(/\..*$/, '').replace('T', '-');
+    downloadFile(`trace-${stamp}.json`, JSON.stringify(trace), 'application/json');
+  }
+
+  // -----------------------------
+  // Round log + referee corrections
+  // -----------------------------
+  const LOG_LABELS = { got: 'Got it', pass: 'Pass', next: 'Next', buzz: 'Buzzed', unanswered: 'No answer' };
+
+  // A flip goes original -> got -> pass -> back to the original, so one mis-tap can always be undone
+  function nextLogAction(entry) {
+    const cycle = [...new Set([entry.originalAction, 'got', 'pass'])];
+    return cycle[(cycle.indexOf(entry.action) + 1) % cycle.length];
+  }
+
+  // Mis-swipes get fixed here: each tap moves the card to its next result (see nextLogAction)
+  function flipLogEntry(i) {
+    const entry = State.log[i];
+    if (!entry || !Game.is('finished')) return;
+    // Entries from a round saved before results were remembered start their cycle here
+    entry.originalAction ??= entry.action;
+    entry.action = nextLogAction(entry);
+
+    State.got = State.log.filter((e) => e.action === 'got').length;
+    State.pass = State.log.filter((e) => e.action === 'pass').length;
+    State.buzz = State.log.filter((e) => e.action === 'buzz').length;
+    State.score = State.rules.score(State.log);
+    statGot.textContent = String(State.got);
+    statPass.textContent = String(State.pass);
+    renderScore();
+
+    if (Teams.isEnabled()) {
+      Teams.setPending(State.score);
+      Teams.renderStandings();
+      playAgainBtn.textContent = Teams.nextLabel();
+    }
+    renderRoundLog();
+    updateRoundRecord();
+    mirrorRound();
+    Spectator.emit('status');
+  }
+
+  function renderRoundLog() {
+    roundLogEl.textContent = '';
+
+    State.log.forEach((entry, i) => {
+      const li = document.createElement('li');
+      li.className = 'log-item';
+
+      const phrase = document.createElement('span');
+      phrase.className = 'log-phrase';
+      phrase.textContent = entry.phrase;
+
+      const meta = document.createElement('span');
+      meta.className = 'meta';
+      const style = PERFORM_STYLES[entry.style];
+      meta.textContent = `${formatSeconds(entry.ms)}${entry.hintUsed ? ' · hint' : ''}${style ? ` · ${style.toLowerCase()}` : ''}`;
+
+      const flip = document.createElement('button');
+      flip.type = 'button';
+      flip.className = `pill log-action log-${entry.action}`;
+      flip.textContent = LOG_LABELS[entry.action];
+      flip.setAttribute('aria-label', `${entry.phrase}: ${LOG_LABELS[entry.action]}. Tap to change.`);
+      flip.addEventListener('click', () => flipLogEntry(i));
+
+      li.append(phrase, meta, flip);
+      roundLogEl.appendChild(li);
+    });
+
+    if (State.log.length === 0) {
+      const li = document.createElement('li');
+      li.className = 'meta';
+      li.textContent = 'No cards were played this round.';
+      roundLogEl.appendChild(li);
+    }
+  }
+
+  function renderHintedCards() {
+    const hinted = State.deck.filter((c) => c.hintUsed);
+    hintedList.textContent = '';
+    hintedCard.hidden = hinted.length === 0;
+
+    for (const card of hinted) {
+      const li = document.createElement('li');
+      const phrase = document.createElement('strong');
+      phrase.textContent = card.phrase;
+      li.append(phrase, ` — ${card.hint}`);
+      hintedList.appendChild(li);
+    }
   }
 
   function endRound(reason = 'Time is up') {
+    if (!Game.inRound()) return;
     stopTimer();
+    clearHintTimer();
+    clearRoundSnapshot();
+    Sound.play('buzzer');
+    Haptics.play('end');
     releaseWakeLock();
-    disableTiltListener();
+    Movement.disableTiltListener();
+    Movement.stopGamepadPolling();
+    State.lastTrace = Movement.stopTrace();
+    Reel.stop();
+    logUnansweredCard();
+
+    if (Teams.isEnabled()) Teams.setPending(State.score);
+    recordRound(reason);
+
+    renderResults(reason);
+    Game.go('finished');
+    Spectator.emit('end', { reason });
+  }
 
-    showFeedback('end', 'Round ended');
-    setTimeout(() => {
-      setScreen('finished');
-      renderResults(reason);
-      hideFeedback();
-    }, 250);
+  // The card still up when the round ends goes in the log too (0 points; the referee can flip it)
+  function logUnansweredCard() {
+    const current = State.showing;
+    if (!current) return;
+    State.showing = null;
+    const now = Date.now();
+    State.log.push({
+      phrase: current.phrase,
+      hint: current.hint,
+      action: 'unanswered',
+      originalAction: 'unanswered',
+      ms: Math.max(0, (Game.is('paused') ? State.pausedAt : now) - State.cardShownAt),
+      hintUsed: !!current.hintUsed,
+      style: current.style || null,
+      at: now
+    });
+    State.shown += 1;
+    State.score = State.rules.score(State.log);
+  }
+
+  // -----------------------------
+  // Round history (IndexedDB)
+  // -----------------------------
+  async function recordRound(reason) {
+    const deck = Admin.getSelectedDeck();
+    const endedAt = Date.now();
+    const record = {
+      deckId: deck?.id ?? null,
+      deckName: deck?.name ?? '',
+      team: Teams.isEnabled() ? Teams.currentTeam()?.name ?? null : null,
+      startedAt: State.roundStartedAt,
+      endedAt,
+      durationMs: endedAt - State.roundStartedAt,
+      reason,
+      settings: {
+        timerSeconds: State.timerSeconds,
+        deckStrategy: State.roundStrategy,
+        avoidRecentRounds: State.avoidRecentRounds,
+        loopWhenFinished: State.loopWhenFinished,
+        hintAutoSeconds: State.hintAutoSeconds,
+        teamMode: Teams.isEnabled(),
+        gameMode: State.rules.mode,
+        gameModeAmount: State.rules.amount
+      },
+      shown: State.shown,
+      got: State.got,
+      pass: State.pass,
+      buzz: State.buzz,
+      score: State.score,
+      cards: State.log.map((e) => ({ ...e }))
+    };
+    State.roundRecord = record;
+    await queueRoundSave(record);
+  }
+
+  // Writes run one after another: a correction made before the first write resolves must
+  // replace that round (by id), not insert it a second time
+  function queueRoundSave(record) {
+    State.roundSaving = (State.roundSaving || Promise.resolve())
+      .then(() => History.saveRound(record))
+      .then((id) => {
+        if (id != null) record.id = id;
+      });
+    return State.roundSaving;
+  }
+
+  // Keep the saved round in step with referee corrections
+  function updateRoundRecord() {
+    const record = State.roundRecord;
+    if (!record) return;
+    record.got = State.got;
+    record.pass = State.pass;
+    record.buzz = State.buzz;
+    record.score = State.score;
+    record.cards = State.log.map((e) => ({ ...e }));
+    queueRoundSave(record);
   }
 
   // -----------------------------
   // Timer
   // -----------------------------
+  const TICK_SECONDS = 10; // tick sound + buzz for the last N seconds
+
+  // Counts down State.timeLeftMs against a deadline, so a pause just stops and restarts it
   function startTimer() {
     stopTimer();
-    const startedAt = Date.now();
+    if (!State.rules.timed) return;
+    State.roundEndsAt = Date.now() + State.timeLeftMs;
+    Spectator.emit('tick');
 
     State.timerId = window.setInterval(() => {
-      const elapsed = Math.floor((Date.now() - startedAt) / 1000);
-      State.timeLeft = Math.max(0, State.timerSeconds - elapsed);
+      const shownLeft = State.timeLeft;
+      State.timeLeftMs = Math.max(0, State.roundEndsAt - Date.now());
+      State.timeLeft = Math.ceil(State.timeLeftMs / 1000);
       updateHUD();
+      if (State.timeLeft !== shownLeft) {
+        saveRoundSnapshot();
+        mirrorRound();
+        Spectator.emit('tick');
+        if (State.timeLeft > 0 && State.timeLeft <= TICK_SECONDS) {
+          Sound.play('tick');
+          Haptics.play('tick');
+        }
+      }
 
-      if (State.timeLeft <= 0) {
+      if (State.timeLeftMs <= 0) {
         endRound('Time is up');
       }
     }, 250);
   }
 
+  // Time bonus: moves the deadline (or the paused remainder) out by ms
+  function addTime(ms) {
+    if (State.timerId) State.roundEndsAt += ms;
+    State.timeLeftMs += ms;
+    State.timeLeft = Math.ceil(State.timeLeftMs / 1000);
+  }
+
   function stopTimer() {
     if (State.timerId) {
       clearInterval(State.timerId);
       State.timerId = null;
+      State.timeLeftMs = Math.max(0, State.roundEndsAt - Date.now());
     }
   }
 
   // -----------------------------
-  // Swipe detector (lightweight)
+  // Pause / resume
   // -----------------------------
-  const Swipe = { active: false, startX: 0, startY: 0, startT: 0 };
-  const SWIPE_THRESHOLD_PX = 42;
-  const SWIPE_MAX_OFF_AXIS = 80;
-  const SWIPE_MAX_MS = 800;
+  function pauseRound() {
+    if (!Game.is('running')) return;
+    stopTimer();
+    clearHintTimer();
+    State.pausedAt = Date.now();
+    Reel.pause();
+    releaseWakeLock();
+    Game.go('paused');
+    Movement.setTiltStatus('Paused');
+    saveRoundSnapshot();
+  }
 
-  function swipeStart(x, y) {
-    if (State.mode !== 'running') return;
-    Swipe.active = true;
-    Swipe.startX = x;
-    Swipe.startY = y;
-    Swipe.startT = Date.now();
+  function resumeRound() {
+    if (!Game.is('paused')) return;
+    Sound.unlock();
+    // Paused time doesn't count toward the card's time
+    State.cardShownAt += Date.now() - State.pausedAt;
+    // The phone has probably moved; take a fresh tilt baseline
+    Movement.onRoundStartResetTiltState();
+    Game.go('running');
+    Movement.setTiltStatus('Ready');
+    Reel.resume();
+    requestWakeLock();
+    scheduleAutoHint();
+    startTimer();
+    // Paused between an answer and the next card (or restored there): show it now
+    if (!State.showing) showNextCard();
   }
 
-  function swipeEnd(x, y) {
-    if (!Swipe.active || State.mode !== 'running') return;
-    Swipe.active = false;
+  function togglePause() {
+    if (Game.is('paused')) resumeRound();
+    else pauseRound();
+  }
 
-    const dx = x - Swipe.startX;
-    const dy = y - Swipe.startY;
-    const dt = Date.now() - Swipe.startT;
+  function renderPauseOverlay() {
+    const total = State.deck.length;
+    const time = State.rules.timed ? `${State.timeLeft}s left · ` : '';
+    pauseInfo.textContent = `${time}${State.shown} of ${total} shown · ${State.got} got it`;
+  }
+
+  // -----------------------------
+  // Round snapshot (resume after a reload)
+  // -----------------------------
+  // Saved on every card, hint, pause and timer second, so a killed tab loses at most a second.
+  // Cleared when the round ends; a newer round simply overwrites it.
+  const ROUND_KEY = 'gtp.v1.round';
+  const ROUND_SNAPSHOT_VERSION = 1;
 
-    const absX = Math.abs(dx);
-    const absY = Math.abs(dy);
+  function saveRoundSnapshot() {
+    if (!Game.is('running', 'paused')) return;
+    const now = Date.now();
+    const snapshot = {
+      v: ROUND_SNAPSHOT_VERSION,
+      savedAt: now,
+      deck: State.deck,
+      index: State.index,
+      shown: State.shown,
+      got: State.got,
+      pass: State.pass,
+      buzz: State.buzz,
+      log: State.log,
+      timerSeconds: State.timerSeconds,
+      timeLeftMs: State.timerId ? Math.max(0, State.roundEndsAt - now) : State.timeLeftMs,
+      // Time already spent on the current card (pauses excluded)
+      cardMs: Math.max(0, (Game.is('paused') ? State.pausedAt : now) - State.cardShownAt),
+      hintShown: !hintEl.hidden,
+      roundStartedAt: State.roundStartedAt,
+      roundStrategy: State.roundStrategy,
+      gameMode: State.rules.mode,
+      gameModeAmount: State.rules.amount,
+      match: Teams.isEnabled() ? Teams.getMatch() : null
+    };
+    try {
+      localStorage.setItem(ROUND_KEY, JSON.stringify(snapshot));
+    } catch {
+      // ignore (private mode / storage full: the round just can't be resumed)
+    }
+  }
 
-    const isQuickEnough = dt <= SWIPE_MAX_MS;
-    const isFarEnough = absX >= SWIPE_THRESHOLD_PX;
-    const isMostlyHorizontal = absY <= SWIPE_MAX_OFF_AXIS;
+  // -> snapshot, or null when there's nothing (usable) to resume
+  function loadRoundSnapshot() {
+    let snap;
+    try {
+      snap = JSON.parse(localStorage.getItem(ROUND_KEY) || 'null');
+    } catch {
+      return null;
+    }
+    if (!snap || snap.v !== ROUND_SNAPSHOT_VERSION) return null;
+    if (!Array.isArray(snap.deck) || snap.deck.length === 0 || !Array.isArray(snap.log)) return null;
+    if (!(snap.timeLeftMs > 0)) return null;
+    return snap;
+  }
+
+  function clearRoundSnapshot() {
+    try {
+      localStorage.removeItem(ROUND_KEY);
+    } catch {
+      // ignore
+    }
+  }
+
+  function renderResumeCard() {
+    const snap = loadRoundSnapshot();
+    resumeCard.hidden = !snap;
+    if (!snap) return;
+
+    const team = snap.match?.teams?.[snap.match.turn];
+    const parts = [
+      `${snap.shown} of ${snap.deck.length} shown`,
+      `${snap.got} got it`
+    ];
+    if (createRules(snap.gameMode).timed) parts.unshift(`${Math.ceil(snap.timeLeftMs / 1000)}s left`);
+    if (team) parts.unshift(String(team.name));
+    const saved = new Date(snap.savedAt);
+    resumeInfo.textContent = `${parts.join(' · ')} (saved ${saved.toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })})`;
+  }
 
-    if (isQuickEnough && isFarEnough && isMostlyHorizontal) {
-      if (dx > 0) advance('got'); // swipe right
-      else advance('pass');       // swipe left
+  // Puts the saved round back on screen exactly where it was, paused.
+  // Input traces aren't recorded for resumed rounds (the first half of the input is gone).
+  function restoreRound() {
+    Sound.unlock();
+    const snap = loadRoundSnapshot();
+    if (!snap || !Game.can('countdown')) {
+      renderResumeCard();
+      return;
     }
+    // The reel from before the reload is gone; record the rest (this tap allows the camera prompt)
+    Reel.start({ note: 'Recorded from when the round was resumed after a reload.' });
+
+    State.deck = snap.deck.map((p) => ({ ...p, hintUsed: !!p.hintUsed }));
+    State.index = Math.min(Math.max(0, Number(snap.index) || 0), State.deck.length);
+    State.shown = Number(snap.shown) || 0;
+    State.got = Number(snap.got) || 0;
+    State.pass = Number(snap.pass) || 0;
+    State.buzz = Number(snap.buzz) || 0;
+    State.log = snap.log;
+    State.rules = createRules(snap.gameMode, snap.gameModeAmount);
+    State.score = State.rules.score(State.log);
+    State.timerSeconds = Number(snap.timerSeconds) || State.timerSeconds;
+    State.timeLeftMs = snap.timeLeftMs;
+    State.timeLeft = Math.ceil(snap.timeLeftMs / 1000);
+    State.roundStartedAt = Number(snap.roundStartedAt) || Date.now();
+    State.roundStrategy = snap.roundStrategy || State.roundStrategy;
+    State.roundRecord = null;
+    State.lastTrace = null;
+    if (snap.match) Teams.restoreMatch(snap.match);
+
+    Movement.onRoundStartResetTiltState();
+    Movement.setTiltProfile(Calibration.getActiveProfile());
+
+    if (!Game.go('countdown')) return;
+    hideFeedback();
+    Teams.renderTurnBadge();
+    renderCurrentPhrase();
+    updateHUD();
+
+    tryLockOrientation();
+    Movement.maybeEnableTiltDuringGame();
+
+    // Straight to paused: the clock only runs again once someone taps Resume
+    Game.go('running');
+    State.cardShownAt = Date.now() - (Number(snap.cardMs) || 0);
+    if (snap.hintShown) revealHint();
+    pauseRound();
   }
 
-  gameStage.addEventListener('touchstart', (e) => {
-    if (!e.touches || e.touches.length !== 1) return;
-    const t = e.touches[0];
-    swipeStart(t.clientX, t.clientY);
-  }, { passive: true });
+  function discardSavedRound() {
+    if (!confirm('Discard the unfinished round? It won’t be saved to history.')) return;
+    clearRoundSnapshot();
+    renderResumeCard();
+  }
 
-  gameStage.addEventListener('touchend', (e) => {
-    const t = (e.changedTouches && e.changedTouches[0]) ? e.changedTouches[0] : null;
-    if (!t) return;
-    swipeEnd(t.clientX, t.clientY);
-  }, { passive: true });
+  // -----------------------------
+  // Remote reveal (mirroring to a paired device)
+  // -----------------------------
+  // Everything the paired device needs to draw this device's round (see renderView in remote.js)
+  function roundView() {
+    const item = Game.inRound() ? State.deck[State.index] : null;
+    return {
+      phase: Game.current(),
+      phrase: item?.phrase ?? '',
+      hint: item?.hint || '',
+      forbidden: item?.forbidden || [],
+      style: PERFORM_STYLES[item?.style] || '',
+      buzz: State.rules.hasBuzz,
+      countdown: Game.is('countdown') ? countdownNumber.textContent : '',
+      feedback: feedbackEl.textContent,
+      timeLeft: State.rules.timed ? State.timeLeft : null,
+      shown: State.shown,
+      total: State.deck.length,
+      got: State.got,
+      pass: State.pass,
+      score: State.score,
+      team: Teams.isEnabled() ? Teams.currentTeam()?.name ?? '' : '',
+      reason: Game.is('finished') ? State.roundRecord?.reason ?? '' : ''
+    };
+  }
 
-  gameStage.addEventListener('pointerdown', (e) => swipeStart(e.clientX, e.clientY));
-  gameStage.addEventListener('pointerup', (e) => swipeEnd(e.clientX, e.clientY));
+  function mirrorRound() {
+    if (Remote.isConnected()) Remote.sendView(roundView());
+  }
 
-  // Prevent scroll during game
-  document.addEventListener('touchmove', (e) => {
-    if (State.mode === 'running') e.preventDefault();
-  }, { passive: false });
+  // Follow the other device's round only from Setup, so nothing here gets interrupted
+  function onRemoteView(view) {
+    if (!isRoundPhase(view.phase) && view.phase !== 'finished') {
+      if (Game.is('remote')) setScreen('setup');
+      return false;
+    }
+    if (Game.is('setup')) setScreen('remote');
+    return Game.is('remote');
+  }
 
-  // Prevent double-tap zoom (best effort)
-  let lastTouchEnd = 0;
-  document.addEventListener('touchend', (e) => {
-    if (State.mode !== 'running') return;
-    const now = Date.now();
-    if (now - lastTouchEnd <= 300) e.preventDefault();
-    lastTouchEnd = now;
-  }, { passive: false });
+  function leaveRemoteView() {
+    if (Game.is('remote')) setScreen('setup');
+  }
 
-  // Tap fallback
-  tapLeft.addEventListener('click', () => advance('pass'));
-  tapRight.addEventListener('click', () => advance('got'));
-  nextBtn.addEventListener('click', () => advance('next'));
-  endBtn.addEventListener('click', () => endRound('Ended early'));
+  // -----------------------------
+  // Spectator view (broadcast.js / spectator.html)
+  // -----------------------------
+  const SPECTATOR_RECENT = 8; // guessed phrases listed on the spectator view
+
+  // What the spectator window may show: never the card in play
+  function spectatorStatus() {
+    const team = Teams.isEnabled() ? Teams.currentTeam() : null;
+    return {
+      phase: Game.current(),
+      mode: State.rules.label,
+      timed: State.rules.timed,
+      timeLeft: State.timeLeft,
+      score: State.score,
+      got: State.got,
+      pass: State.pass,
+      buzz: State.buzz,
+      shown: State.shown,
+      team: team ? { name: team.name, color: team.color } : null,
+      teams: Teams.isEnabled() ? Teams.getMatch().teams.map(({ name, color, score }) => ({ name, color, score })) : [],
+      recent: State.log.filter((e) => e.action === 'got').slice(-SPECTATOR_RECENT).reverse().map((e) => e.phrase),
+      reason: Game.is('finished') ? State.roundRecord?.reason ?? '' : ''
+    };
+  }
 
   // -----------------------------
   // Fullscreen (button)
@@ -482,7 +1380,6 @@ import { createAdminController } from './admin.js';
     if (!('wakeLock' in navigator)) return;
     try {
       State.wakeLock = await navigator.wakeLock.request('screen');
-      document.addEventListener('visibilitychange', onVisibilityChange, { once: true });
     } catch {
       State.wakeLock = null;
     }
@@ -498,8 +1395,15 @@ import { createAdminController } from './admin.js';
     }
   }
 
+  // A call or app switch pauses the round; it stays paused until Resume is tapped
   async function onVisibilityChange() {
-    if (document.visibilityState === 'visible' && State.mode === 'running') {
+    if (document.visibilityState === 'hidden') pauseRound();
+    // A countdown interrupted halfway starts over (forehead check included)
+    if (Game.is('countdown')) {
+      if (document.visibilityState === 'hidden') stopCountdown();
+      else startCountdown();
+    }
+    if (document.visibilityState === 'visible' && Game.is('countdown', 'running')) {
       await requestWakeLock();
     } else {
       await releaseWakeLock();
@@ -519,150 +1423,6 @@ import { createAdminController } from './admin.js';
     }
   }
 
-  // -----------------------------
-  // Tilt controls (DeviceOrientationEvent)
-  // -----------------------------
-  function isIOSNeedsMotionPermission() {
-    return (
-      typeof DeviceOrientationEvent !== 'undefined' &&
-      typeof DeviceOrientationEvent.requestPermission === 'function'
-    );
-  }
-
-  async function requestMotionPermission() {
-    if (!isIOSNeedsMotionPermission()) {
-      State.tiltPermissionGranted = true;
-      return true;
-    }
-    try {
-      const res = await DeviceOrientationEvent.requestPermission();
-      State.tiltPermissionGranted = (res === 'granted');
-      return State.tiltPermissionGranted;
-    } catch {
-      State.tiltPermissionGranted = false;
-      return false;
-    }
-  }
-
-  function tiltStatusText(extra = '') {
-    const base = State.tiltEnabled ? 'Tilt: On' : 'Tilt: Off';
-    return extra ? `${base} · ${extra}` : base;
-  }
-
-  function setTiltStatus(extra = '') {
-    if (!tiltStatus) return;
-    if (State.mode !== 'running') return;
-    tiltStatus.textContent = tiltStatusText(extra);
-  }
-
-  function shouldListenTilt() {
-    return State.tiltEnabled && State.mode === 'running';
-  }
-
-  function attachTiltListener() {
-    if (State.tiltListenerAttached) return;
-    window.addEventListener('deviceorientation', onDeviceOrientation, { passive: true });
-    State.tiltListenerAttached = true;
-  }
-
-  function disableTiltListener() {
-    if (!State.tiltListenerAttached) return;
-    window.removeEventListener('deviceorientation', onDeviceOrientation);
-    State.tiltListenerAttached = false;
-  }
-
-  function maybeEnableTiltDuringGame() {
-    if (!State.tiltEnabled) {
-      motionPermBtn.hidden = true;
-      disableTiltListener();
-      setTiltStatus('Off');
-      return;
-    }
-
-    if (isIOSNeedsMotionPermission() && !State.tiltPermissionGranted) {
-      motionPermBtn.hidden = false;
-      setTiltStatus('Needs permission');
-      return;
-    }
-
-    motionPermBtn.hidden = true;
-    attachTiltListener();
-    setTiltStatus('Ready');
-  }
-
-  function calibrateBaseline(beta) {
-    if (!State.tiltHasBaseline) {
-      State.tiltNeutralBeta = beta;
-      State.tiltHasBaseline = true;
-      return;
-    }
-    const delta = beta - State.tiltNeutralBeta;
-    if (Math.abs(delta) <= TILT.neutralZoneAbs + 4) {
-      State.tiltNeutralBeta = State.tiltNeutralBeta + delta * TILT.baselineSmoothing;
-    }
-  }
-
-  function onDeviceOrientation(e) {
-    if (!shouldListenTilt()) return;
-
-    const beta = (typeof e.beta === 'number') ? e.beta : null;
-    if (beta == null) return;
-
-    calibrateBaseline(beta);
-    const delta = beta - State.tiltNeutralBeta;
-
-    if (!State.tiltArmed) {
-      if (Math.abs(delta) <= TILT.neutralZoneAbs) {
-        State.tiltArmed = true;
-        setTiltStatus('Neutral');
-      } else {
-        setTiltStatus(delta > 0 ? 'Forward…' : 'Backward…');
-      }
-      return;
-    }
-
-    const now = Date.now();
-    if (now - State.tiltLastActionAt < TILT.minIntervalMs) return;
-
-    if (delta >= TILT.forwardTriggerDelta) {
-      State.tiltArmed = false;
-      State.tiltLastActionAt = now;
-      setTiltStatus('Got it');
-      advance('got');
-      return;
-    }
-
-    if (delta <= TILT.backwardTriggerDelta) {
-      State.tiltArmed = false;
-      State.tiltLastActionAt = now;
-      setTiltStatus('Pass');
-      advance('pass');
-      return;
-    }
-
-    if (Math.abs(delta) <= TILT.neutralZoneAbs) setTiltStatus('Neutral');
-    else setTiltStatus(delta > 0 ? 'Forward' : 'Backward');
-  }
-
-  motionPermBtn.addEventListener('click', async () => {
-    const ok = await requestMotionPermission();
-    if (!ok) {
-      alert('Motion permission was not granted. Tilt controls will stay off unless enabled in iOS settings for this site.');
-      State.tiltEnabled = false;
-      tiltEnabledInput.checked = false;
-      saveSettings({ tiltEnabled: false });
-      motionPermBtn.hidden = true;
-      return;
-    }
-
-    motionPermBtn.hidden = true;
-    if (State.mode === 'running') {
-      maybeEnableTiltDuringGame();
-    } else {
-      setTiltStatus('Ready');
-    }
-  });
-
   // -----------------------------
   // Setup option syncing
   // -----------------------------
@@ -675,26 +1435,70 @@ import { createAdminController } from './admin.js';
     State.timerSeconds = Number.isFinite(timer) ? clamp(timer, 10, 600) : 60;
     timerSecondsInput.value = String(State.timerSeconds);
 
-    State.shuffleOnStart = !!shuffleOnStartInput.checked;
+    State.deckStrategy = DECK_STRATEGIES.includes(deckStrategyInput.value) ? deckStrategyInput.value : 'shuffle';
+    deckStrategyInput.value = State.deckStrategy;
+
+    const avoid = Number(avoidRecentRoundsInput.value);
+    State.avoidRecentRounds = Number.isFinite(avoid) ? clamp(Math.round(avoid), 0, 20) : 2;
+    avoidRecentRoundsInput.value = String(State.avoidRecentRounds);
     State.loopWhenFinished = !!loopWhenFinishedInput.checked;
-    State.vibrateOnAction = !!vibrateOnActionInput.checked;
+    State.recordTraces = !!recordTracesInput.checked;
     State.tiltEnabled = !!tiltEnabledInput.checked;
+
+    const hintAuto = Number(hintAutoSecondsInput.value);
+    State.hintAutoSeconds = Number.isFinite(hintAuto) ? clamp(Math.round(hintAuto), 0, 60) : 0;
+    hintAutoSecondsInput.value = String(State.hintAutoSeconds);
+
+    State.gameMode = GAME_MODES.includes(gameModeInput.value) ? gameModeInput.value : 'classic';
+    gameModeInput.value = State.gameMode;
+    // The amount box belongs to the mode it was last rendered for (see renderGameModeOptions)
+    if (gameModeAmount(State.gameMode) && gameModeAmountInput.dataset.mode === State.gameMode) {
+      State.gameModeAmounts[State.gameMode] = createRules(State.gameMode, gameModeAmountInput.value).amount;
+    }
+    renderGameModeOptions();
+  }
+
+  // Amount box (label + range for the mode), the mode's rules in one line, timer only if it counts
+  function renderGameModeOptions() {
+    const spec = gameModeAmount(State.gameMode);
+    const rules = createRules(State.gameMode, State.gameModeAmounts[State.gameMode]);
+    gameModeAmountRow.hidden = !spec;
+    if (spec) {
+      gameModeAmountLabel.textContent = spec.label;
+      gameModeAmountInput.min = String(spec.min);
+      gameModeAmountInput.max = String(spec.max);
+      gameModeAmountInput.value = String(rules.amount);
+      gameModeAmountInput.dataset.mode = State.gameMode;
+    }
+    gameModeHint.textContent = rules.description;
+    timerSecondsInput.disabled = !rules.timed;
   }
 
   function applySettingsToUI(settings) {
     if (!settings) return;
-    if (typeof settings.phrasesText === 'string') phrasesInput.value = settings.phrasesText;
     if (typeof settings.timerSeconds === 'number') timerSecondsInput.value = String(settings.timerSeconds);
-    if (typeof settings.shuffleOnStart === 'boolean') shuffleOnStartInput.checked = settings.shuffleOnStart;
+    if (typeof settings.deckStrategy === 'string') deckStrategyInput.value = settings.deckStrategy;
+    else if (typeof settings.shuffleOnStart === 'boolean') deckStrategyInput.value = settings.shuffleOnStart ? 'shuffle' : 'ordered';
+    if (settings.phraseFilter && typeof settings.phraseFilter === 'object') {
+      State.filterCategory = String(settings.phraseFilter.category || '');
+      State.filterTag = String(settings.phraseFilter.tag || '');
+      State.filterMaxDifficulty = Number(settings.phraseFilter.maxDifficulty) || 0;
+    }
+    if (typeof settings.avoidRecentRounds === 'number') avoidRecentRoundsInput.value = String(settings.avoidRecentRounds);
     if (typeof settings.loopWhenFinished === 'boolean') loopWhenFinishedInput.checked = settings.loopWhenFinished;
-    if (typeof settings.vibrateOnAction === 'boolean') vibrateOnActionInput.checked = settings.vibrateOnAction;
+    if (typeof settings.recordTraces === 'boolean') recordTracesInput.checked = settings.recordTraces;
     if (typeof settings.tiltEnabled === 'boolean') tiltEnabledInput.checked = settings.tiltEnabled;
+    if (typeof settings.hintAutoSeconds === 'number') hintAutoSecondsInput.value = String(settings.hintAutoSeconds);
+    if (typeof settings.gameMode === 'string') gameModeInput.value = settings.gameMode;
+    if (settings.gameModeAmounts && typeof settings.gameModeAmounts === 'object') {
+      State.gameModeAmounts = { ...settings.gameModeAmounts };
+    }
   }
 
   // Setup listeners
   phrasesInput.addEventListener('input', () => {
     updatePhraseCountMeta();
-    saveSettings({ phrasesText: phrasesInput.value });
+    Admin.setSelectedDeckText(phrasesInput.value);
   });
 
   timerSecondsInput.addEventListener('change', () => {
@@ -703,9 +1507,47 @@ import { createAdminController } from './admin.js';
     updatePhraseCountMeta();
   });
 
-  shuffleOnStartInput.addEventListener('change', () => {
+  hintAutoSecondsInput.addEventListener('change', () => {
+    syncOptionsFromUI();
+    saveSettings({ hintAutoSeconds: State.hintAutoSeconds });
+  });
+
+  gameModeInput.addEventListener('change', () => {
+    syncOptionsFromUI();
+    saveSettings({ gameMode: State.gameMode });
+  });
+
+  gameModeAmountInput.addEventListener('change', () => {
+    syncOptionsFromUI();
+    saveSettings({ gameModeAmounts: State.gameModeAmounts });
+  });
+
+  function onFilterChange() {
+    State.filterCategory = filterCategoryInput.value;
+    State.filterTag = filterTagInput.value;
+    State.filterMaxDifficulty = Number(filterDifficultyInput.value) || 0;
+    saveSettings({
+      phraseFilter: {
+        category: State.filterCategory,
+        tag: State.filterTag,
+        maxDifficulty: State.filterMaxDifficulty
+      }
+    });
+    updatePhraseCountMeta();
+  }
+
+  filterCategoryInput.addEventListener('change', onFilterChange);
+  filterTagInput.addEventListener('change', onFilterChange);
+  filterDifficultyInput.addEventListener('change', onFilterChange);
+
+  deckStrategyInput.addEventListener('change', () => {
+    syncOptionsFromUI();
+    saveSettings({ deckStrategy: State.deckStrategy });
+  });
+
+  avoidRecentRoundsInput.addEventListener('change', () => {
     syncOptionsFromUI();
-    saveSettings({ shuffleOnStart: State.shuffleOnStart });
+    saveSettings({ avoidRecentRounds: State.avoidRecentRounds });
   });
 
   loopWhenFinishedInput.addEventListener('change', () => {
@@ -713,16 +1555,18 @@ import { createAdminController } from './admin.js';
     saveSettings({ loopWhenFinished: State.loopWhenFinished });
   });
 
-  vibrateOnActionInput.addEventListener('change', () => {
+  recordTracesInput.addEventListener('change', () => {
     syncOptionsFromUI();
-    saveSettings({ vibrateOnAction: State.vibrateOnAction });
+    saveSettings({ recordTraces: State.recordTraces });
   });
 
+  downloadTraceBtn.addEventListener('click', downloadTrace);
+
   tiltEnabledInput.addEventListener('change', () => {
     syncOptionsFromUI();
     saveSettings({ tiltEnabled: State.tiltEnabled });
 
-    if (State.tiltEnabled && isIOSNeedsMotionPermission() && !State.tiltPermissionGranted) {
+    if (State.tiltEnabled && Movement.isIOSNeedsMotionPermission() && !State.tiltPermissionGranted) {
       motionPermBtn.hidden = false;
     } else {
       motionPermBtn.hidden = true;
@@ -731,15 +1575,36 @@ import { createAdminController } from './admin.js';
 
   startBtn.addEventListener('click', () => {
     syncOptionsFromUI();
-    if (State.tiltEnabled && isIOSNeedsMotionPermission() && !State.tiltPermissionGranted) {
+    if (State.tiltEnabled && Movement.isIOSNeedsMotionPermission() && !State.tiltPermissionGranted) {
       motionPermBtn.hidden = false; // tilt activates after grant
     }
+    if (Teams.isEnabled()) {
+      if (!playablePhrasesOrAlert()) return;
+      const carryOn = Teams.isMatchInProgress() && confirm(
+        `A match is in progress (${Teams.roundLabel()}).\n\nOK: carry on with it.\nCancel: start a new match (all scores back to 0).`
+      );
+      if (!carryOn) Teams.startMatch();
+      Teams.showTurnScreen();
+      return;
+    }
     startRound();
   });
 
+  turnReadyBtn.addEventListener('click', () => startRound());
+
+  countdownEl.addEventListener('click', onCountdownTap);
+
+  resumeSavedBtn.addEventListener('click', restoreRound);
+  discardSavedBtn.addEventListener('click', discardSavedRound);
+
+  turnBackBtn.addEventListener('click', () => {
+    setScreen('setup');
+    updatePhraseCountMeta();
+  });
+
   clearBtn.addEventListener('click', () => {
     phrasesInput.value = '';
-    saveSettings({ phrasesText: '' });
+    Admin.setSelectedDeckText('');
     updatePhraseCountMeta();
   });
 
@@ -764,52 +1629,334 @@ import { createAdminController } from './admin.js';
       'A giant sandwich :: Too big to bite'
     ].join('\n');
     phrasesInput.value = sample;
-    saveSettings({ phrasesText: sample });
+    Admin.setSelectedDeckText(sample);
     updatePhraseCountMeta();
   });
 
+  function renderImportReport(title, lines) {
+    importReport.textContent = '';
+    importReport.hidden = !title;
+    if (!title) return;
+
+    const head = document.createElement('strong');
+    head.textContent = title;
+    importReport.appendChild(head);
+
+    if (lines.length) {
+      const list = document.createElement('ul');
+      for (const line of lines) {
+        const li = document.createElement('li');
+        li.textContent = line;
+        list.appendChild(li);
+      }
+      importReport.appendChild(list);
+    }
+  }
+
+  // .json/.csv become new decks; .txt replaces the selected deck's text (as before)
   fileInput.addEventListener('change', async () => {
     const file = fileInput.files && fileInput.files[0];
     if (!file) return;
 
     try {
       const text = await file.text();
-      phrasesInput.value = text;
-      saveSettings({ phrasesText: text });
+      const kind = fileKind(file);
+
+      if (kind === 'txt') {
+        phrasesInput.value = text;
+        Admin.setSelectedDeckText(text);
+        renderImportReport('', []);
+        updatePhraseCountMeta();
+        return;
+      }
+
+      const { decks, errors } = kind === 'json'
+        ? decksFromJson(text, baseName(file))
+        : deckFromCsv(text, baseName(file));
+      const added = Admin.importDecks(decks);
+
+      if (added.length === 0) {
+        renderImportReport(`Nothing imported from ${file.name}`, errors);
+      } else {
+        const cards = decks.reduce((sum, d) => sum + d.count, 0);
+        const summary = `Imported ${added.length} deck${added.length === 1 ? '' : 's'} (${cards} phrase${cards === 1 ? '' : 's'})`;
+        renderImportReport(errors.length ? `${summary}, with ${errors.length} problem${errors.length === 1 ? '' : 's'}:` : summary, errors);
+      }
       updatePhraseCountMeta();
     } catch {
-      alert('Could not read that file. Try a plain .txt file.');
+      alert('Could not read that file. Try a .txt, .json or .csv file.');
     } finally {
       fileInput.value = '';
     }
   });
 
   playAgainBtn.addEventListener('click', () => {
-    // Force reshuffle for play again (without permanently changing preference)
-    const prevShuffle = State.shuffleOnStart;
-    State.shuffleOnStart = true;
-    shuffleOnStartInput.checked = true;
-
-    startRound();
+    if (Teams.isEnabled()) {
+      // Count this round, then hand over to the next team (or start a new match)
+      if (Teams.isMatchOver()) Teams.startMatch();
+      else Teams.commitRound();
+      Teams.showTurnScreen();
+      return;
+    }
 
-    State.shuffleOnStart = prevShuffle;
-    shuffleOnStartInput.checked = prevShuffle;
-    saveSettings({ shuffleOnStart: prevShuffle });
+    // Force a fresh order for play again (without permanently changing preference)
+    startRound({ strategy: State.deckStrategy === 'ordered' ? 'shuffle' : State.deckStrategy });
   });
 
   editListBtn.addEventListener('click', () => {
     stopTimer();
+    clearHintTimer();
     releaseWakeLock();
-    disableTiltListener();
+    Movement.disableTiltListener();
     setScreen('setup');
     updatePhraseCountMeta();
   });
 
-  // Clean up if navigating away
+  document.addEventListener('visibilitychange', onVisibilityChange);
+
+  // Clean up if navigating away (a page restored from the back/forward cache comes back paused)
   window.addEventListener('pagehide', () => {
+    pauseRound();
     stopTimer();
     releaseWakeLock();
-    disableTiltListener();
+    Movement.disableTiltListener();
+    Movement.stopGamepadPolling();
+  });
+
+  // -----------------------------
+  // Input (swipe / tap / long-press / tilt / keys / gamepad)
+  // -----------------------------
+  const Movement = createMovementController({
+    State,
+    elements: {
+      gameStage,
+      tapLeft,
+      tapRight,
+      nextBtn,
+      endBtn,
+      hintBtn,
+      buzzBtn,
+      pauseBtn,
+      resumeBtn,
+      pauseEndBtn,
+      tiltStatus,
+      motionPermBtn,
+      tiltEnabledInput,
+      keyBindingsList,
+      keyBindingsResetBtn,
+      gamepadBindingsList,
+      gamepadResetBtn,
+      gamepadStatus
+    },
+    saveSettings
+  });
+
+  // Every input source lands here as one normalized action
+  Movement.onAction(({ action }) => {
+    if (action === 'end' && Game.is('countdown')) cancelCountdown();
+    else if (action === 'end') endRound('Ended early');
+    else if (action === 'pause') togglePause();
+    else if (action === 'hint') revealHint();
+    else advance(action);
+  });
+
+  // -----------------------------
+  // Decks (admin screen)
+  // -----------------------------
+  const Admin = createAdminController({
+    State,
+    elements: {
+      phrasesInput,
+      deckSelect,
+      manageDecksBtn,
+      deckList,
+      deckNewBtn,
+      adminPinBtn,
+      adminDoneBtn,
+      exportJsonBtn,
+      exportCsvBtn,
+      exportAllBtn
+    },
+    setScreen,
+    loadSettings,
+    saveSettings,
+    onSelectedDeckChanged: updatePhraseCountMeta
+  });
+
+  // -----------------------------
+  // Teams / match scoreboard
+  // -----------------------------
+  const Teams = createTeamsController({
+    elements: {
+      teamModeInput,
+      teamsPanel,
+      teamList,
+      addTeamBtn,
+      turnsPerTeamInput,
+      targetScoreInput,
+      turnTeamName,
+      turnRoundLabel,
+      turnStandings,
+      turnBadge,
+      standingsCard,
+      standingsList,
+      matchStatus
+    },
+    setScreen,
+    saveSettings
+  });
+
+  // -----------------------------
+  // History screen
+  // -----------------------------
+  const History = createHistoryController({
+    elements: {
+      historyBtn,
+      historyBackBtn,
+      historyClearBtn,
+      historyDeckFilter,
+      phraseStatsBody,
+      phraseStatsEmpty,
+      historyRounds
+    },
+    setScreen
+  });
+
+  // -----------------------------
+  // Tilt calibration + profiles
+  // -----------------------------
+  const Calibration = createCalibrationController({
+    elements: {
+      tiltProfileSelect,
+      calibrateTiltBtn,
+      calBeta,
+      calStatus,
+      calPoseList,
+      calResult,
+      calNameInput,
+      calSaveBtn,
+      calProfileList,
+      calBackBtn
+    },
+    setScreen,
+    loadSettings,
+    saveSettings,
+    requestMotionPermission: () => Movement.requestMotionPermission()
+  });
+
+  // -----------------------------
+  // Sound effects
+  // -----------------------------
+  const Sound = createSoundController({
+    elements: {
+      soundVolumeInput,
+      soundMutedInput,
+      soundTestBtn
+    },
+    saveSettings
+  });
+
+  // -----------------------------
+  // Haptics (vibration patterns)
+  // -----------------------------
+  const Haptics = createHapticsController({
+    elements: {
+      hapticsPresetSelect,
+      hapticsTestList,
+      hapticsHint
+    },
+    saveSettings
+  });
+
+  // -----------------------------
+  // Reaction reel (front camera recording of the round)
+  // -----------------------------
+  const Reel = createReelController({
+    elements: {
+      reelEnabledInput,
+      reelHint,
+      reelCard,
+      reelVideo,
+      reelStatus,
+      reelDownloadBtn,
+      reelDiscardBtn
+    },
+    saveSettings
+  });
+
+  // -----------------------------
+  // Share a deck (link + QR code)
+  // -----------------------------
+  const Share = createShareController({
+    elements: {
+      shareDeckBtn,
+      shareDialog,
+      shareTitle,
+      shareCanvas,
+      shareMessage,
+      shareLinkInput,
+      shareCopyBtn,
+      shareNativeBtn,
+      shareCloseBtn
+    },
+    getSelectedDeck: () => Admin.getSelectedDeck(),
+    importDecks: (decks) => Admin.importDecks(decks),
+    onImported: () => {
+      if (!Game.inRound()) setScreen('setup');
+      updatePhraseCountMeta();
+    }
+  });
+
+  // -----------------------------
+  // Spectator view (round events over BroadcastChannel)
+  // -----------------------------
+  const Spectator = createBroadcastController({
+    elements: {
+      spectatorBtn
+    },
+    getStatus: spectatorStatus
+  });
+
+  // -----------------------------
+  // Remote reveal (pair dialog + remote screen)
+  // -----------------------------
+  const Remote = createRemoteController({
+    elements: {
+      pairBtn,
+      pairDialog,
+      pairStatus,
+      pairInviteBtn,
+      pairDisconnectBtn,
+      pairCodeOut,
+      pairCanvas,
+      pairCodeInput,
+      pairCopyBtn,
+      pairReplyInput,
+      pairVideo,
+      pairConnectBtn,
+      pairScanBtn,
+      pairCloseBtn,
+      remoteTime,
+      remoteProgress,
+      remoteScore,
+      remoteStatus,
+      remoteStyle,
+      remotePhrase,
+      remoteHint,
+      remoteForbidden,
+      remoteGotBtn,
+      remotePassBtn,
+      remoteBuzzBtn,
+      remotePauseBtn,
+      remoteEndBtn,
+      remoteLeaveBtn
+    },
+    onView: onRemoteView,
+    // Goes through the same stream (and phase filter) as this device's own input
+    onAction: (action) => Movement.dispatch(action, 'remote'),
+    onConnect: mirrorRound,
+    onDisconnect: leaveRemoteView,
+    onLeave: leaveRemoteView
   });
 
   // -----------------------------
@@ -849,16 +1996,40 @@ import { createAdminController } from './admin.js';
   function init() {
     const settings = loadSettings();
     applySettingsToUI(settings);
+    Movement.initMovement(settings);
+    Admin.initAdmin();
+    Teams.initTeams(settings);
+    History.initHistory({
+      onBack: () => {
+        setScreen('setup');
+        updatePhraseCountMeta();
+      }
+    });
+    Sound.initSound(settings);
+    Haptics.initHaptics(settings);
+    Reel.initReel(settings);
+    Calibration.initCalibration({
+      onBack: () => setScreen('setup')
+    });
     syncOptionsFromUI();
     updatePhraseCountMeta();
     setScreen('setup');
 
-    if (State.tiltEnabled && isIOSNeedsMotionPermission() && !State.tiltPermissionGranted) {
+    if (State.tiltEnabled && Movement.isIOSNeedsMotionPermission() && !State.tiltPermissionGranted) {
       motionPermBtn.hidden = false;
     } else {
       motionPermBtn.hidden = true;
     }
 
+    Share.initShare();
+    // Opened from a shared deck link? Offer to import it.
+    Share.checkIncomingLink();
+
+    Spectator.initBroadcast();
+    Remote.initRemote();
+    // Opened from a pairing invite (QR / link)? Answer it.
+    Remote.checkIncomingPair();
+
     registerServiceWorker();
   }
 
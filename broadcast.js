@@ -0,0 +1,60 @@
+// broadcast.js
+// Handles: the game window's side of the spectator view (spectator.html, e.g. a laptop tab cast
+// to the TV): the "Spectator view" button that opens it, and round events posted to it over a
+// BroadcastChannel (same browser, same origin; nothing leaves the device).
+// Events: status (phase changes, referee corrections), tick (timer seconds), card (after each
+// got/pass/next/buzz), end (round over). Every message carries the whole public status, so a
+// spectator window opened mid-round (it asks with "hello") is right from the next message on.
+// The card being played is never sent: only cards already got appear in status.recent.
+// Expects you to pass in elements + getStatus() (the status object, see spectatorStatus in app.js).
+
+export const SPECTATOR_CHANNEL = 'gtp.v1.spectator';
+export const SPECTATOR_EVENTS = ['status', 'tick', 'card', 'end'];
+
+const SPECTATOR_URL = './spectator.html';
+const SPECTATOR_WINDOW = 'gtp-spectator';
+
+export function canBroadcast() {
+  return typeof BroadcastChannel === 'function';
+}
+
+export function createBroadcastController({ elements, getStatus }) {
+  const {
+    spectatorBtn,
+  } = elements;
+
+  let channel = null;
+
+  function emit(type, detail = {}) {
+    if (!channel || !SPECTATOR_EVENTS.includes(type)) return;
+    try {
+      channel.postMessage({ type, detail, status: getStatus(), at: Date.now() });
+    } catch {
+      // ignore
+    }
+  }
+
+  function onMessage(e) {
+    if (e.data?.type === 'hello') emit('status');
+  }
+
+  // Reuses the same window if it's already open (its name is fixed)
+  function openSpectator() {
+    const win = window.open(SPECTATOR_URL, SPECTATOR_WINDOW, 'popup,width=1280,height=720');
+    if (!win) alert('The spectator window was blocked. Allow pop-ups for this site, or open spectator.html in a new tab.');
+  }
+
+  // Wire everything once
+  function initBroadcast() {
+    spectatorBtn.hidden = !canBroadcast();
+    if (!canBroadcast()) return;
+    channel = new BroadcastChannel(SPECTATOR_CHANNEL);
+    channel.addEventListener('message', onMessage);
+    spectatorBtn.addEventListener('click', openSpectator);
+  }
+
+  return {
+    initBroadcast,
+    emit,
+  };
+}
@@ -0,0 +1,437 @@
+// calibration.js
+// Handles: the tilt calibration screen (neutral / forward / backward poses with a live tilt
+// readout) + named tilt profiles saved in settings (tiltProfiles, tiltProfileId).
+// Readings go through tiltPitch() like in a round, so a profile works in any orientation.
+// A profile holds the thresholds movement.js uses (see TILT_PROFILE_KEYS); '' = built-in defaults.
+// Expects you to pass in elements + callbacks (setScreen/loadSettings/saveSettings/requestMotionPermission).
+
+import { DEFAULT_TILT, angleDelta, tiltPitch, screenAngle } from './movement.js';
+
+const POSES = ['neutral', 'forward', 'backward'];
+const POSE_LABELS = { neutral: 'Neutral', forward: 'Forward (Got it)', backward: 'Backward (Pass)' };
+
+const COUNTDOWN_SECONDS = 3;
+const CAPTURE_MS = { neutral: 1500, forward: 2000, backward: 2000 };
+const MIN_POSE_DELTA = 10; // degrees a tilt pose must be away from neutral
+
+function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Samples [{ beta, t }] -> { beta, spread, moveMs }
+// The pose is where the reading settles (second half); moveMs is how long it took to get 80% of
+// the way there from the first reading, i.e. how quickly this player tilts.
+export function summarizePose(samples) {
+  if (samples.length === 0) return null;
+  const settled = samples.slice(Math.floor(samples.length / 2)).map((s) => s.beta);
+  const beta = median(settled);
+  const spread = Math.max(...settled) - Math.min(...settled);
+
+  const start = samples[0];
+  const travel = angleDelta(beta, start.beta);
+  let moveMs = null;
+  if (Math.abs(travel) >= MIN_POSE_DELTA) {
+    const reached = samples.find((s) => Math.abs(angleDelta(s.beta, start.beta)) >= Math.abs(travel) * 0.8);
+    if (reached) moveMs = reached.t - start.t;
+  }
+  return { beta, spread, moveMs };
+}
+
+// { neutral, forward, backward } pose summaries -> thresholds; throws Error with a user-facing message
+export function deriveTiltProfile({ neutral, forward, backward }) {
+  const fwd = angleDelta(forward.beta, neutral.beta);
+  const back = angleDelta(backward.beta, neutral.beta);
+
+  if (fwd < MIN_POSE_DELTA) {
+    throw new Error(`Forward was only ${Math.round(fwd)}° from neutral. Tilt further and record it again.`);
+  }
+  if (back > -MIN_POSE_DELTA) {
+    throw new Error(`Backward was only ${Math.round(-back)}° from neutral. Tilt further and record it again.`);
+  }
+
+  // Trigger a bit before the full pose so a lazy tilt still counts
+  const forwardTriggerDelta = clamp(Math.round(fwd * 0.6), 8, 60);
+  const backwardTriggerDelta = -clamp(Math.round(-back * 0.6), 8, 60);
+
+  // Wide enough to cover the jitter of holding still, narrow enough to stay clear of the triggers
+  const maxZone = Math.round(Math.min(forwardTriggerDelta, -backwardTriggerDelta) * 0.6);
+  const neutralZoneAbs = clamp(Math.round(Math.max(neutral.spread, 2) * 1.5 + 3), 4, Math.max(4, maxZone));
+
+  // Quick tilters get a shorter debounce
+  const moves = [forward.moveMs, backward.moveMs].filter((ms) => typeof ms === 'number');
+  const minIntervalMs = moves.length
+    ? clamp(Math.round((moves.reduce((a, b) => a + b, 0) / moves.length) * 1.5 / 50) * 50, 400, 1200)
+    : DEFAULT_TILT.minIntervalMs;
+
+  return {
+    neutralBeta: Math.round(neutral.beta),
+    forwardBeta: Math.round(forward.beta),
+    backwardBeta: Math.round(backward.beta),
+    forwardTriggerDelta,
+    backwardTriggerDelta,
+    neutralZoneAbs,
+    minIntervalMs
+  };
+}
+
+function describeProfile(p) {
+  return `Got it at +${p.forwardTriggerDelta}°, Pass at ${p.backwardTriggerDelta}°, ` +
+    `neutral ±${p.neutralZoneAbs}°, ${p.minIntervalMs} ms between actions`;
+}
+
+export function createCalibrationController({
+  elements,
+  setScreen,
+  loadSettings,
+  saveSettings,
+  requestMotionPermission,
+}) {
+  const {
+    tiltProfileSelect,
+    calibrateTiltBtn,
+    calBeta,
+    calStatus,
+    calPoseList,
+    calResult,
+    calNameInput,
+    calSaveBtn,
+    calProfileList,
+    calBackBtn,
+  } = elements;
+
+  let profiles = [];
+  let activeId = '';
+
+  // Wizard state
+  let liveBeta = null;
+  let listening = false;
+  let capture = null; // { pose, samples } while recording
+  let countdownId = null;
+  let finishId = null; // ends the recording window (see recordPose)
+  let poses = {};     // pose -> summary
+  let derived = null;
+
+  // -----------------------------
+  // Profiles (settings)
+  // -----------------------------
+  function loadProfiles(settings) {
+    profiles = Array.isArray(settings?.tiltProfiles)
+      ? settings.tiltProfiles.filter((p) => p && typeof p.id === 'string' && typeof p.name === 'string')
+      : [];
+    activeId = typeof settings?.tiltProfileId === 'string' ? settings.tiltProfileId : '';
+    if (!profiles.some((p) => p.id === activeId)) activeId = '';
+  }
+
+  function persist() {
+    saveSettings({ tiltProfiles: profiles, tiltProfileId: activeId });
+  }
+
+  function getActiveProfile() {
+    return profiles.find((p) => p.id === activeId) || null;
+  }
+
+  function setActiveProfile(id) {
+    activeId = profiles.some((p) => p.id === id) ? id : '';
+    persist();
+    renderProfileSelect();
+    renderProfileList();
+  }
+
+  function deleteProfile(id) {
+    const p = profiles.find((x) => x.id === id);
+    if (!p || !confirm(`Delete the tilt profile “${p.name}”?`)) return;
+    profiles = profiles.filter((x) => x.id !== id);
+    if (activeId === id) activeId = '';
+    persist();
+    renderProfileSelect();
+    renderProfileList();
+  }
+
+  function renderProfileSelect() {
+    tiltProfileSelect.innerHTML = '';
+    tiltProfileSelect.add(new Option('Default sensitivity', ''));
+    for (const p of profiles) tiltProfileSelect.add(new Option(p.name, p.id));
+    tiltProfileSelect.value = activeId;
+  }
+
+  function renderProfileList() {
+    calProfileList.innerHTML = '';
+    if (profiles.length === 0) {
+      const li = document.createElement('li');
+      li.className = 'hint';
+      li.textContent = 'No saved profiles yet.';
+      calProfileList.appendChild(li);
+      return;
+    }
+
+    for (const p of profiles) {
+      const li = document.createElement('li');
+      li.className = 'deck-item';
+
+      const text = document.createElement('div');
+      text.className = 'grow';
+      const name = document.createElement('strong');
+      name.textContent = p.id === activeId ? `${p.name} (in use)` : p.name;
+      const meta = document.createElement('div');
+      meta.className = 'meta';
+      meta.textContent = describeProfile(p);
+      text.append(name, meta);
+
+      const use = document.createElement('button');
+      use.type = 'button';
+      use.className = 'btn btn-ghost btn-sm';
+      use.textContent = 'Use';
+      use.disabled = p.id === activeId;
+      use.addEventListener('click', () => setActiveProfile(p.id));
+
+      const del = document.createElement('button');
+      del.type = 'button';
+      del.className = 'btn btn-ghost btn-sm';
+      del.textContent = 'Delete';
+      del.addEventListener('click', () => deleteProfile(p.id));
+
+      li.append(text, use, del);
+      calProfileList.appendChild(li);
+    }
+  }
+
+  // -----------------------------
+  // Live readout
+  // -----------------------------
+  function onOrientation(e) {
+    if (typeof e.beta !== 'number') return;
+    liveBeta = tiltPitch(e, screenAngle());
+    if (capture) capture.samples.push({ beta: liveBeta, t: Date.now() });
+    renderLiveBeta();
+  }
+
+  function renderLiveBeta() {
+    if (liveBeta == null) {
+      calBeta.textContent = '—';
+      return;
+    }
+    let text = `${Math.round(liveBeta)}°`;
+    if (poses.neutral) {
+      const delta = Math.round(angleDelta(liveBeta, poses.neutral.beta));
+      text += ` (${delta >= 0 ? '+' : ''}${delta}° from neutral)`;
+    }
+    calBeta.textContent = text;
+  }
+
+  function startListening() {
+    if (listening) return;
+    window.addEventListener('deviceorientation', onOrientation, { passive: true });
+    listening = true;
+  }
+
+  function stopListening() {
+    if (!listening) return;
+    window.removeEventListener('deviceorientation', onOrientation);
+    listening = false;
+  }
+
+  // -----------------------------
+  // Recording poses
+  // -----------------------------
+  function buzz(pattern) {
+    try {
+      if ('vibrate' in navigator) navigator.vibrate(pattern);
+    } catch {
+      // ignore
+    }
+  }
+
+  function cancelCapture() {
+    if (countdownId) {
+      clearInterval(countdownId);
+      countdownId = null;
+    }
+    if (finishId) {
+      clearTimeout(finishId);
+      finishId = null;
+    }
+    capture = null;
+  }
+
+  function poseInstruction(pose) {
+    if (pose === 'neutral') return 'Hold the phone on your forehead like you’re playing, and keep still.';
+    if (pose === 'forward') return 'Start from neutral. When it buzzes, tilt forward (face down) like a “Got it” and hold.';
+    return 'Start from neutral. When it buzzes, tilt backward (face up) like a “Pass” and hold.';
+  }
+
+  async function recordPose(pose) {
+    if (capture || countdownId) return;
+
+    // iOS only grants motion access from a tap, so ask here
+    const ok = await requestMotionPermission();
+    if (!ok) {
+      alert('Motion permission was not granted, so tilt can’t be calibrated on this device.');
+      return;
+    }
+    startListening();
+
+    let left = COUNTDOWN_SECONDS;
+    calStatus.textContent = `${poseInstruction(pose)} Starting in ${left}…`;
+    renderPoses();
+
+    countdownId = window.setInterval(() => {
+      left -= 1;
+      if (left > 0) {
+        calStatus.textContent = `${poseInstruction(pose)} Starting in ${left}…`;
+        return;
+      }
+      clearInterval(countdownId);
+      countdownId = null;
+
+      capture = { pose, samples: [] };
+      buzz(40);
+      calStatus.textContent = pose === 'neutral' ? 'Recording… hold still.' : 'Recording… tilt now and hold.';
+      finishId = window.setTimeout(() => finishCapture(pose), CAPTURE_MS[pose]);
+    }, 1000);
+  }
+
+  function finishCapture(pose) {
+    finishId = null;
+    if (!capture || capture.pose !== pose) return;
+    const summary = summarizePose(capture.samples);
+    capture = null;
+    buzz([30, 60, 30]);
+
+    if (!summary) {
+      calStatus.textContent = 'No motion readings came in. This device may not have a motion sensor.';
+      renderPoses();
+      return;
+    }
+
+    poses[pose] = summary;
+    // A new neutral invalidates tilt poses measured against the old one
+    if (pose === 'neutral') {
+      delete poses.forward;
+      delete poses.backward;
+    }
+    const next = POSES.find((p) => !poses[p]);
+    calStatus.textContent = next ? `Recorded. Next: ${POSE_LABELS[next]}.` : 'All three poses recorded.';
+    renderPoses();
+    renderResult();
+  }
+
+  function renderPoses() {
+    calPoseList.innerHTML = '';
+    const busy = !!(capture || countdownId);
+
+    POSES.forEach((pose, i) => {
+      const li = document.createElement('li');
+      li.className = 'deck-item';
+
+      const text = document.createElement('div');
+      text.className = 'grow';
+      const name = document.createElement('strong');
+      name.textContent = `${i + 1}. ${POSE_LABELS[pose]}`;
+      const meta = document.createElement('div');
+      meta.className = 'meta';
+      const s = poses[pose];
+      if (!s) meta.textContent = 'Not recorded';
+      else if (pose === 'neutral') meta.textContent = `${Math.round(s.beta)}° (wobble ${Math.round(s.spread)}°)`;
+      else {
+        const delta = Math.round(angleDelta(s.beta, poses.neutral.beta));
+        meta.textContent = `${Math.round(s.beta)}° (${delta >= 0 ? '+' : ''}${delta}° from neutral)`;
+      }
+      text.append(name, meta);
+
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = s ? 'btn btn-ghost btn-sm' : 'btn btn-secondary btn-sm';
+      btn.textContent = s ? 'Redo' : 'Record';
+      // Tilt poses are measured from neutral, so neutral comes first
+      btn.disabled = busy || (pose !== 'neutral' && !poses.neutral);
+      btn.addEventListener('click', () => recordPose(pose));
+
+      li.append(text, btn);
+      calPoseList.appendChild(li);
+    });
+  }
+
+  function renderResult() {
+    derived = null;
+    calSaveBtn.disabled = true;
+    if (!POSES.every((p) => poses[p])) {
+      calResult.textContent = 'Record all three poses to work out your tilt settings.';
+      return;
+    }
+    try {
+      derived = deriveTiltProfile(poses);
+      calResult.textContent = describeProfile(derived);
+      calSaveBtn.disabled = false;
+    } catch (err) {
+      calResult.textContent = err.message;
+    }
+  }
+
+  function saveProfile() {
+    if (!derived) return;
+    const name = calNameInput.value.trim() || `Profile ${profiles.length + 1}`;
+    const existing = profiles.find((p) => p.name.toLowerCase() === name.toLowerCase());
+    if (existing && !confirm(`Replace the tilt profile “${existing.name}”?`)) return;
+
+    const profile = {
+      id: existing ? existing.id : `tilt_${Date.now().toString(36)}`,
+      name,
+      createdAt: Date.now(),
+      ...derived
+    };
+    profiles = existing ? profiles.map((p) => (p.id === existing.id ? profile : p)) : [...profiles, profile];
+    calNameInput.value = '';
+    setActiveProfile(profile.id);
+    calStatus.textContent = `Saved “${name}”. Rounds will use it from now on.`;
+  }
+
+  // -----------------------------
+  // Screen
+  // -----------------------------
+  function openCalibration() {
+    cancelCapture();
+    poses = {};
+    liveBeta = null;
+    calStatus.textContent = 'Start with the neutral pose.';
+    renderLiveBeta();
+    renderPoses();
+    renderResult();
+    renderProfileList();
+    setScreen('calibrate');
+    // Android delivers readings without a permission prompt; iOS starts after the first Record tap
+    requestMotionPermission().then((ok) => {
+      if (ok) startListening();
+    });
+  }
+
+  function closeCalibration() {
+    cancelCapture();
+    stopListening();
+  }
+
+  // Wire everything once
+  function initCalibration({ onBack }) {
+    loadProfiles(loadSettings());
+    renderProfileSelect();
+
+    tiltProfileSelect.addEventListener('change', () => setActiveProfile(tiltProfileSelect.value));
+    calibrateTiltBtn.addEventListener('click', openCalibration);
+    calSaveBtn.addEventListener('click', saveProfile);
+    calBackBtn.addEventListener('click', () => {
+      closeCalibration();
+      onBack();
+    });
+  }
+
+  return {
+    initCalibration,
+    openCalibration,
+    getActiveProfile,
+  };
+}
@@ -0,0 +1,68 @@
+// deckbuilder.js
+// Handles: turning a parsed phrase list into the order cards are dealt in a round.
+// Strategies:
+//   ordered  - keep list order
+//   shuffle  - uniform Fisher–Yates shuffle
+//   weighted - random, but favors rarely-seen phrases; phrases from the last N rounds go last
+//   curve    - easy first, then harder (tagged difficulty, else historical got rate)
+// `stats` is the Map returned by computePhraseStats in history.js (may be empty).
+
+import { phraseKey } from './history.js';
+
+export const DECK_STRATEGIES = ['ordered', 'shuffle', 'weighted', 'curve'];
+
+// Fisher–Yates shuffle
+export function fisherYatesShuffle(arr) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+// Weighted shuffle without replacement (Efraimidis–Spirakis): higher weight => earlier
+function weightedShuffle(items, weightOf) {
+  return items
+    .map((item) => ({ item, key: Math.pow(Math.random(), 1 / Math.max(1e-6, weightOf(item))) }))
+    .sort((a, b) => b.key - a.key)
+    .map((x) => x.item);
+}
+
+// 0 (easy) .. 1 (hard). Tagged difficulty (1–5) wins over history.
+export function difficultyScore(phrase, stats) {
+  if (typeof phrase.difficulty === 'number') {
+    return Math.max(0, Math.min(1, (phrase.difficulty - 1) / 4));
+  }
+  const s = stats.get(phraseKey(phrase.phrase));
+  if (!s || s.shown === 0) return 0.5;
+  // Laplace-smoothed miss rate so one unlucky round doesn't brand a phrase "hard"
+  return 1 - (s.got + 1) / (s.shown + 2);
+}
+
+export function buildDeck(phrases, { strategy = 'shuffle', stats = new Map(), avoidRecentRounds = 0 } = {}) {
+  const deck = phrases.map((p) => ({ ...p })); // copy objects
+
+  if (strategy === 'ordered') return deck;
+
+  if (strategy === 'weighted') {
+    const fresh = [];
+    const recent = [];
+    for (const p of deck) {
+      const s = stats.get(phraseKey(p.phrase));
+      if (s && avoidRecentRounds > 0 && s.roundsAgo < avoidRecentRounds) recent.push(p);
+      else fresh.push(p);
+    }
+    const weightOf = (p) => 1 / (1 + (stats.get(phraseKey(p.phrase))?.shown ?? 0));
+    return [...weightedShuffle(fresh, weightOf), ...weightedShuffle(recent, weightOf)];
+  }
+
+  if (strategy === 'curve') {
+    // Shuffle first so equally-hard phrases still come out in a fresh order (sort is stable)
+    return fisherYatesShuffle(deck)
+      .map((p) => ({ p, score: difficultyScore(p, stats) }))
+      .sort((a, b) => a.score - b.score)
+      .map((x) => x.p);
+  }
+
+  return fisherYatesShuffle(deck);
+}
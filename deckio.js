@@ -0,0 +1,365 @@
+// deckio.js
+// Handles: deck import/export as JSON or CSV, with validation + a readable error report.
+// Decks are stored as text (see phrases.js), so imports are serialized back to that format.
+//
+// JSON: { format: 'gtp-decks', version: 1, decks: [{ name, phrases: [{ phrase, hint, forbidden, category, difficulty, tags }] }] }
+//       A single { name, phrases } deck or a bare array of phrases/strings is accepted too.
+// CSV:  header row with phrase, hint, category columns (forbidden, difficulty, tags optional); one card per row.
+// forbidden (Taboo words) and tags may be a list or comma separated text.
+
+import { parsePhrases, parsePhraseText, DIFFICULTY_MIN, DIFFICULTY_MAX } from './phrases.js';
+
+export const JSON_FORMAT = 'gtp-decks';
+export const JSON_VERSION = 1;
+
+const CSV_COLUMNS = ['phrase', 'hint', 'category', 'difficulty', 'tags', 'forbidden'];
+
+// -----------------------------
+// Cards <-> deck text
+// -----------------------------
+function oneLine(value) {
+  return String(value ?? '').replace(/\s*\r?\n\s*/g, ' ').trim();
+}
+
+function cardLine(card) {
+  let line = oneLine(card.phrase);
+  if (card.hint) line += ` :: ${oneLine(card.hint)}`;
+  if (card.forbidden && card.forbidden.length) line += ` || ${card.forbidden.join(', ')}`;
+
+  const meta = [];
+  if (typeof card.difficulty === 'number') meta.push(`difficulty: ${card.difficulty}`);
+  if (card.tags && card.tags.length) meta.push(`tags: ${card.tags.join(',')}`);
+  if (meta.length) line += ` {${meta.join(', ')}}`;
+  return line;
+}
+
+// Uncategorized cards first, then one [Category] section per category in first-seen order
+export function cardsToDeckText(cards) {
+  const groups = new Map([['', []]]);
+  for (const card of cards) {
+    const category = oneLine(card.category);
+    if (!groups.has(category)) groups.set(category, []);
+    groups.get(category).push(card);
+  }
+
+  const lines = [];
+  for (const [category, list] of groups) {
+    if (list.length === 0) continue;
+    if (category) {
+      if (lines.length) lines.push('');
+      lines.push(`[${category}]`);
+    }
+    for (const card of list) lines.push(cardLine(card));
+  }
+  return lines.join('\n');
+}
+
+function exportCard(p) {
+  return {
+    phrase: p.phrase,
+    hint: p.hint || '',
+    forbidden: p.forbidden || [],
+    category: p.category || '',
+    difficulty: typeof p.difficulty === 'number' ? p.difficulty : null,
+    tags: p.tags || []
+  };
+}
+
+// -----------------------------
+// Export
+// -----------------------------
+export function decksToJson(decks) {
+  return JSON.stringify({
+    format: JSON_FORMAT,
+    version: JSON_VERSION,
+    exportedAt: new Date().toISOString(),
+    decks: decks.map((d) => ({ name: d.name, phrases: parsePhrases(d.text).map(exportCard) }))
+  }, null, 2);
+}
+
+function csvCell(value) {
+  const s = String(value ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function deckToCsv(deck) {
+  const rows = [CSV_COLUMNS];
+  for (const p of parsePhrases(deck.text).map(exportCard)) {
+    rows.push([p.phrase, p.hint, p.category, p.difficulty ?? '', p.tags.join(','), p.forbidden.join(', ')]);
+  }
+  return rows.map((r) => r.map(csvCell).join(',')).join('\r\n');
+}
+
+// -----------------------------
+// Validation
+// -----------------------------
+// The deck text format has no escaping, so text that would change how its line parses is rejected
+function syntaxProblems(key, value) {
+  const problems = [];
+  if (key === 'phrase' && value.startsWith('#')) problems.push('can’t start with # (the line would be read as a comment)');
+  if (key === 'phrase' && value.startsWith('[') && value.endsWith(']')) problems.push('can’t be wrapped in [ ] (the line would be read as a category header)');
+  if (key === 'phrase' && value.includes('::')) problems.push('can’t contain :: (it separates the hint)');
+  if (value.includes('||')) problems.push('can’t contain || (it starts the forbidden words)');
+  if (/[{}]/.test(value)) problems.push('can’t contain { or } (they mark the metadata)');
+  return problems;
+}
+
+// Comma separated text or a list (whose items may hold commas too) -> trimmed items
+function splitList(value) {
+  if (typeof value === 'string') return value.split(',');
+  if (!Array.isArray(value) || value.some((v) => typeof v !== 'string')) return null;
+  return value.flatMap((v) => v.split(','));
+}
+
+// Last line of defence: the card must parse back from its deck line unchanged
+function survivesRoundTrip(card) {
+  const { phrases, warnings } = parsePhraseText(cardLine(card));
+  const back = phrases[0];
+  return phrases.length === 1 && warnings.length === 0 &&
+    back.phrase === card.phrase &&
+    back.hint === card.hint &&
+    back.forbidden.join('\n') === card.forbidden.join('\n') &&
+    back.difficulty === card.difficulty &&
+    back.tags.join('\n') === card.tags.join('\n');
+}
+
+function validateCard(raw, path, errors) {
+  if (typeof raw === 'string') raw = { phrase: raw };
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    errors.push(`${path}: expected a phrase string or an object with a "phrase" field`);
+    return null;
+  }
+
+  const phrase = typeof raw.phrase === 'string' ? oneLine(raw.phrase) : '';
+  if (!phrase) {
+    errors.push(`${path}.phrase: required, must be non-empty text`);
+    return null;
+  }
+  const phraseProblems = syntaxProblems('phrase', phrase);
+  for (const problem of phraseProblems) errors.push(`${path}.phrase: ${problem}`);
+
+  const card = { phrase, hint: '', forbidden: [], category: '', difficulty: null, tags: [] };
+  let ok = phraseProblems.length === 0;
+
+  for (const key of ['hint', 'category']) {
+    if (raw[key] == null || raw[key] === '') continue;
+    if (typeof raw[key] !== 'string') {
+      errors.push(`${path}.${key}: must be text`);
+      ok = false;
+    } else {
+      card[key] = oneLine(raw[key]);
+    }
+  }
+  const hintProblems = syntaxProblems('hint', card.hint);
+  for (const problem of hintProblems) errors.push(`${path}.hint: ${problem}`);
+  if (hintProblems.length) ok = false;
+
+  if (raw.difficulty != null && raw.difficulty !== '') {
+    const n = Number(raw.difficulty);
+    if (!Number.isInteger(n) || n < DIFFICULTY_MIN || n > DIFFICULTY_MAX) {
+      errors.push(`${path}.difficulty: must be a whole number from ${DIFFICULTY_MIN} to ${DIFFICULTY_MAX}`);
+      ok = false;
+    } else {
+      card.difficulty = n;
+    }
+  }
+
+  if (raw.tags != null && raw.tags !== '') {
+    const list = splitList(raw.tags);
+    if (!list) {
+      errors.push(`${path}.tags: must be a list of text tags (or comma separated text)`);
+      ok = false;
+    } else {
+      card.tags = list.map((t) => t.trim().toLowerCase()).filter(Boolean);
+    }
+  }
+
+  if (raw.forbidden != null && raw.forbidden !== '') {
+    const list = splitList(raw.forbidden);
+    if (!list) {
+      errors.push(`${path}.forbidden: must be a list of words (or comma separated text)`);
+      ok = false;
+    } else {
+      // | and { } would break the deck text line (see phrases.js); repeats are dropped like the parser does
+      const seen = new Set();
+      for (const w of list) {
+        const word = oneLine(w).replace(/[|{}]/g, ' ').trim();
+        if (!word || seen.has(word.toLowerCase())) continue;
+        seen.add(word.toLowerCase());
+        card.forbidden.push(word);
+      }
+    }
+  }
+
+  if (ok && !survivesRoundTrip(card)) {
+    errors.push(`${path}: can’t be stored as deck text without changing ("${cardLine(card)}")`);
+    ok = false;
+  }
+
+  return ok ? card : null;
+}
+
+function validateDeck(raw, path, fallbackName, errors) {
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.phrases)) {
+    errors.push(`${path}: expected an object with a "phrases" list`);
+    return null;
+  }
+  if (raw.name != null && typeof raw.name !== 'string') {
+    errors.push(`${path}.name: must be text`);
+  }
+
+  const cards = raw.phrases
+    .map((p, i) => validateCard(p, `${path}.phrases[${i}]`, errors))
+    .filter(Boolean);
+  if (cards.length === 0) {
+    errors.push(`${path}: no valid phrases, deck skipped`);
+    return null;
+  }
+
+  const name = (typeof raw.name === 'string' && raw.name.trim()) || fallbackName;
+  const text = cardsToDeckText(cards);
+  // Count what the deck text really holds, not what went in
+  const count = parsePhrases(text).length;
+  if (count !== cards.length) errors.push(`${path}: only ${count} of ${cards.length} phrases could be stored`);
+  return { name, text, count };
+}
+
+// -----------------------------
+// Import
+// -----------------------------
+// -> { decks: [{ name, text, count }], errors: [string] }
+export function decksFromJson(text, fallbackName = 'Imported deck') {
+  const errors = [];
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { decks: [], errors: [`Not valid JSON (${err.message})`] };
+  }
+
+  let rawDecks;
+  if (Array.isArray(data)) {
+    rawDecks = [{ name: fallbackName, phrases: data }];
+  } else if (data && Array.isArray(data.decks)) {
+    if (data.format != null && data.format !== JSON_FORMAT) errors.push(`format: expected "${JSON_FORMAT}"`);
+    if (typeof data.version === 'number' && data.version > JSON_VERSION) {
+      errors.push(`version: file is version ${data.version}, this app reads up to ${JSON_VERSION}`);
+    }
+    rawDecks = data.decks;
+  } else if (data && Array.isArray(data.phrases)) {
+    rawDecks = [data];
+  } else {
+    return { decks: [], errors: ['Expected a "decks" list, a single deck with "phrases", or a list of phrases'] };
+  }
+
+  const decks = rawDecks
+    .map((d, i) => validateDeck(d, `decks[${i}]`, rawDecks.length > 1 ? `${fallbackName} ${i + 1}` : fallbackName, errors))
+    .filter(Boolean);
+  return { decks, errors };
+}
+
+// RFC 4180-ish: quoted fields, "" escapes, CRLF or LF rows
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const s = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (quoted) {
+      if (c === '"' && s[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"' && field === '') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && s[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ''));
+}
+
+// -> { decks: [{ name, text, count }], errors: [string] }
+export function deckFromCsv(text, name = 'Imported deck') {
+  const rows = parseCsv(text);
+  if (rows.length === 0) return { decks: [], errors: ['The CSV file is empty'] };
+
+  const header = rows[0].map((h) => h.trim().toLowerCase());
+  const phraseCol = header.indexOf('phrase');
+  if (phraseCol < 0) {
+    return { decks: [], errors: [`Row 1: header must include a "phrase" column (found: ${header.join(', ') || 'nothing'})`] };
+  }
+
+  const errors = [];
+  const unknown = header.filter((h) => h && !CSV_COLUMNS.includes(h));
+  if (unknown.length) errors.push(`Row 1: ignored unknown column${unknown.length === 1 ? '' : 's'} ${unknown.join(', ')}`);
+
+  const phrases = rows.slice(1).map((cells) => {
+    const raw = {};
+    header.forEach((h, i) => {
+      if (CSV_COLUMNS.includes(h)) raw[h] = (cells[i] ?? '').trim();
+    });
+    return raw;
+  });
+
+  const deckErrors = [];
+  const deck = validateDeck({ name, phrases }, 'csv', name, deckErrors);
+  // Report CSV problems by spreadsheet row rather than array index
+  for (const e of deckErrors) {
+    errors.push(e.replace(/^csv\.phrases\[(\d+)\](?:\.|: )?/, (_, i) => `Row ${Number(i) + 2}: `).replace(/^csv: /, ''));
+  }
+  return { decks: deck ? [deck] : [], errors };
+}
+
+// -----------------------------
+// File helpers
+// -----------------------------
+export function fileKind(file) {
+  const name = (file.name || '').toLowerCase();
+  if (name.endsWith('.json') || file.type === 'application/json') return 'json';
+  if (name.endsWith('.csv') || file.type === 'text/csv') return 'csv';
+  return 'txt';
+}
+
+export function baseName(file) {
+  return (file.name || 'Imported deck').replace(/\.[^.]+$/, '') || 'Imported deck';
+}
+
+export function slugify(name) {
+  return String(name || 'deck')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'deck';
+}
+
+export function downloadFile(filename, text, mime) {
+  const blob = new Blob([text], { type: mime });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,161 @@
+// gamemodes.js
+// Handles: the rules a round is played by, so app.js asks the active rule set instead of
+// hard-coding "got +1, passes free, the timer ends the round".
+// Modes:
+//   classic       - got +1, passes are free, the timer ends the round
+//   passPenalty   - got +1, each pass -1
+//   limitedPasses - at most N passes per round; further passes are refused
+//   suddenDeath   - the first pass ends the round
+//   fixedCards    - play N cards, no timer
+//   timeBonus     - each got adds N seconds to the clock
+//   taboo         - the clue-giver holds the card and sees its forbidden words (phrases.js "||");
+//                   saying one is a "buzz" (-1, next card)
+//   charades      - each card gets a random way to perform it: act it out, draw it or hum it
+// "N" is the one per-mode amount (gameModeAmount in settings); modes without one ignore it.
+// In the clue-giver modes the phone isn't on the guesser's forehead, so the countdown doesn't
+// wait for that pose.
+
+export const GAME_MODES = [
+  'classic', 'passPenalty', 'limitedPasses', 'suddenDeath', 'fixedCards', 'timeBonus', 'taboo', 'charades'
+];
+
+export const PERFORM_STYLES = { act: 'Act it out', draw: 'Draw it', hum: 'Hum it' };
+
+const MODES = {
+  classic: {
+    label: 'Classic',
+    describe: () => 'Got it +1, passes are free. The round ends when time runs out.'
+  },
+  passPenalty: {
+    label: 'Pass penalty',
+    passPoints: -1,
+    describe: () => 'Got it +1, every pass costs a point.'
+  },
+  limitedPasses: {
+    label: 'Limited passes',
+    amount: { label: 'Passes per round', min: 0, max: 20, default: 3 },
+    describe: (n) => `Only ${n} pass${n === 1 ? '' : 'es'} per round; after that you have to get it.`
+  },
+  suddenDeath: {
+    label: 'Sudden death',
+    endOnPass: true,
+    describe: () => 'The first pass ends the round.'
+  },
+  fixedCards: {
+    label: 'Fixed number of cards',
+    timed: false,
+    amount: { label: 'Cards per round', min: 1, max: 200, default: 10 },
+    describe: (n) => `Play ${n} card${n === 1 ? '' : 's'} with no timer.`
+  },
+  timeBonus: {
+    label: 'Time bonus',
+    amount: { label: 'Seconds added per got', min: 1, max: 30, default: 5 },
+    describe: (n) => `Each Got it adds ${n} second${n === 1 ? '' : 's'} to the clock.`
+  },
+  taboo: {
+    label: 'Taboo',
+    buzzPoints: -1,
+    clueGiver: true,
+    showForbidden: true,
+    describe: () => 'The clue-giver holds the phone and must not say the forbidden words (after || in the list). Buzz = −1.'
+  },
+  charades: {
+    label: 'Act it out / draw it / hum it',
+    clueGiver: true,
+    performStyles: Object.keys(PERFORM_STYLES),
+    describe: () => 'Each card says how to get it across: act it out, draw it or hum it. No talking!'
+  }
+};
+
+export function gameModeLabel(mode) {
+  return (MODES[mode] || MODES.classic).label;
+}
+
+// -> { label, min, max, default } for modes that take an amount, else null
+export function gameModeAmount(mode) {
+  return (MODES[mode] || MODES.classic).amount || null;
+}
+
+function clampAmount(spec, amount) {
+  const n = Math.round(Number(amount));
+  if (!Number.isFinite(n)) return spec.default;
+  return Math.max(spec.min, Math.min(spec.max, n));
+}
+
+// Rule set for one round. `counts` below is anything with { shown, got, pass } (State works).
+export function createRules(mode = 'classic', amount) {
+  const id = MODES[mode] ? mode : 'classic';
+  const def = MODES[id];
+  const n = def.amount ? clampAmount(def.amount, amount) : 0;
+
+  const passPoints = def.passPoints || 0;
+  const buzzPoints = def.buzzPoints || 0;
+  const maxPasses = id === 'limitedPasses' ? n : Infinity;
+  const cardLimit = id === 'fixedCards' ? n : 0;
+  const bonusMs = id === 'timeBonus' ? n * 1000 : 0;
+
+  function points(action) {
+    if (action === 'got') return 1;
+    if (action === 'pass') return passPoints;
+    if (action === 'buzz') return buzzPoints;
+    return 0;
+  }
+
+  // Score of a (possibly referee-corrected) round log
+  function score(log) {
+    return log.reduce((sum, entry) => sum + points(entry.action), 0);
+  }
+
+  // -> false when the action has to be refused (out of passes, buzz outside Taboo)
+  function allows(action, counts) {
+    if (action === 'buzz') return !!def.buzzPoints;
+    return action !== 'pass' || counts.pass < maxPasses;
+  }
+
+  function passesLeft(counts) {
+    return maxPasses === Infinity ? null : Math.max(0, maxPasses - counts.pass);
+  }
+
+  // Milliseconds to add to the clock after an action
+  function timeBonusMs(action) {
+    return action === 'got' ? bonusMs : 0;
+  }
+
+  // -> reason the round ends after this action, or null to keep going
+  function endAfter(action, counts) {
+    if (def.endOnPass && action === 'pass') return 'Sudden death: passed';
+    if (cardLimit > 0 && counts.shown >= cardLimit) return `Played all ${cardLimit} cards`;
+    return null;
+  }
+
+  function cardsLeft(counts) {
+    return cardLimit > 0 ? Math.max(0, cardLimit - counts.shown) : null;
+  }
+
+  // Performance style for the next card (charades), else null
+  function pickStyle() {
+    const styles = def.performStyles;
+    return styles ? styles[Math.floor(Math.random() * styles.length)] : null;
+  }
+
+  return {
+    mode: id,
+    amount: n,
+    label: def.label,
+    description: def.describe(n),
+    timed: def.timed !== false,
+    passPoints,
+    buzzPoints,
+    hasBuzz: !!def.buzzPoints,
+    clueGiver: !!def.clueGiver,
+    showForbidden: !!def.showForbidden,
+    points,
+    score,
+    allows,
+    passesLeft,
+    timeBonusMs,
+    endAfter,
+    cardsLeft,
+    pickStyle,
+  };
+}
@@ -0,0 +1,80 @@
+// gamestate.js
+// Handles: the game's state machine. One phase at a time, and only the transitions below:
+//   setup <-> admin / history / calibrate
+//   setup / finished -> turn (team mode: "pass the phone") -> countdown
+//   setup / finished -> countdown -> running <-> paused -> finished -> setup
+//   countdown -> setup / turn (round called off before it started)
+//   setup <-> remote (following a paired device's round, see remote.js)
+// It also says which movement.js actions a phase lets through, so input can't score a card
+// while paused (or before the round starts) without every handler checking for itself.
+// Expects you to pass in onChange(phase, prev) to render the matching screen.
+
+const TRANSITIONS = {
+  setup: ['admin', 'history', 'calibrate', 'remote', 'turn', 'countdown'],
+  admin: ['setup'],
+  history: ['setup'],
+  calibrate: ['setup'],
+  remote: ['setup'],
+  turn: ['setup', 'countdown'],
+  countdown: ['running', 'setup', 'turn'],
+  running: ['paused', 'finished'],
+  paused: ['running', 'finished'],
+  finished: ['setup', 'turn', 'countdown']
+};
+
+// Phases that belong to a round (game screen shown, timer owned by the round)
+const ROUND_PHASES = ['countdown', 'running', 'paused'];
+
+// Movement actions each phase accepts; anything else is dropped
+const ACCEPTED_ACTIONS = {
+  running: ['got', 'pass', 'next', 'buzz', 'hint', 'pause', 'end'],
+  paused: ['pause', 'end'],
+  countdown: ['end']
+};
+
+export function isRoundPhase(phase) {
+  return ROUND_PHASES.includes(phase);
+}
+
+export function createGameState({ initial = 'setup', onChange } = {}) {
+  let phase = initial;
+
+  function current() {
+    return phase;
+  }
+
+  function is(...phases) {
+    return phases.includes(phase);
+  }
+
+  function inRound() {
+    return isRoundPhase(phase);
+  }
+
+  function can(next) {
+    return next === phase || (TRANSITIONS[phase] || []).includes(next);
+  }
+
+  function accepts(action) {
+    return (ACCEPTED_ACTIONS[phase] || []).includes(action);
+  }
+
+  // -> false (and nothing happens) when the transition isn't allowed from the current phase.
+  // Going to the current phase re-renders it.
+  function go(next) {
+    if (!can(next)) return false;
+    const prev = phase;
+    phase = next;
+    onChange?.(next, prev);
+    return true;
+  }
+
+  return {
+    current,
+    is,
+    inRound,
+    can,
+    accepts,
+    go,
+  };
+}
@@ -0,0 +1,121 @@
+// haptics.js
+// Handles: vibration feedback with named patterns (got, pass, next, buzz, tick, end, countdown, go) and
+// the Options controls: an intensity preset (off / subtle / strong, saved in settings as
+// hapticsPreset) and a test button per pattern.
+// Where navigator.vibrate is missing (iOS Safari, desktops) everything is a no-op and the
+// controls say so instead of offering buttons that do nothing.
+// Expects you to pass in elements + saveSettings.
+
+export const HAPTIC_PRESETS = ['off', 'subtle', 'strong'];
+const DEFAULT_PRESET = 'subtle';
+
+// Strong patterns: [vibrate ms, pause ms, vibrate ms, ...]; subtle halves the vibrate parts
+const PATTERNS = {
+  got: [40],
+  pass: [24, 30, 24],
+  next: [16],
+  buzz: [90, 50, 90],
+  tick: [14],
+  end: [220, 90, 220, 90, 420],
+  countdown: [60],
+  go: [250]
+};
+
+const PATTERN_LABELS = {
+  got: 'Got it',
+  pass: 'Pass',
+  next: 'Next',
+  buzz: 'Buzz',
+  tick: 'Last seconds',
+  end: 'Round end',
+  countdown: 'Countdown',
+  go: 'Go'
+};
+
+const PRESET_SCALE = { off: 0, subtle: 0.5, strong: 1 };
+
+export const HAPTIC_PATTERNS = Object.keys(PATTERNS);
+
+// -> the pattern for a preset, or null for "off" / unknown names
+export function hapticPattern(name, preset) {
+  const base = PATTERNS[name];
+  const scale = PRESET_SCALE[preset] || 0;
+  if (!base || scale <= 0) return null;
+  // Only the vibrate parts (even indexes) shrink; gaps stay long enough to feel apart
+  return base.map((ms, i) => (i % 2 === 0 ? Math.max(8, Math.round(ms * scale)) : ms));
+}
+
+function canVibrate() {
+  return typeof navigator !== 'undefined' && typeof navigator.vibrate === 'function';
+}
+
+export function createHapticsController({ elements, saveSettings }) {
+  const {
+    hapticsPresetSelect,
+    hapticsTestList,
+    hapticsHint,
+  } = elements;
+
+  let preset = DEFAULT_PRESET;
+
+  function vibrate(pattern) {
+    if (!pattern || !canVibrate()) return;
+    try {
+      navigator.vibrate(pattern);
+    } catch {
+      // ignore
+    }
+  }
+
+  function play(name) {
+    vibrate(hapticPattern(name, preset));
+  }
+
+  // -----------------------------
+  // Options (preset + test buttons)
+  // -----------------------------
+  function renderTestButtons() {
+    hapticsTestList.textContent = '';
+    for (const name of HAPTIC_PATTERNS) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn btn-ghost btn-sm';
+      btn.textContent = PATTERN_LABELS[name];
+      btn.disabled = preset === 'off';
+      btn.addEventListener('click', () => play(name));
+      hapticsTestList.appendChild(btn);
+    }
+  }
+
+  function renderControls() {
+    hapticsPresetSelect.value = preset;
+    if (!canVibrate()) {
+      hapticsPresetSelect.disabled = true;
+      hapticsTestList.hidden = true;
+      hapticsHint.textContent = 'This device or browser can’t vibrate.';
+      return;
+    }
+    renderTestButtons();
+  }
+
+  function onPresetChange() {
+    preset = HAPTIC_PRESETS.includes(hapticsPresetSelect.value) ? hapticsPresetSelect.value : DEFAULT_PRESET;
+    saveSettings({ hapticsPreset: preset });
+    renderTestButtons();
+    play('got');
+  }
+
+  // Wire everything once
+  function initHaptics(settings) {
+    if (HAPTIC_PRESETS.includes(settings?.hapticsPreset)) preset = settings.hapticsPreset;
+    // Older settings only had the "Vibrate on Got it/Pass" checkbox
+    else if (settings?.vibrateOnAction === false) preset = 'off';
+    renderControls();
+    hapticsPresetSelect.addEventListener('change', onPresetChange);
+  }
+
+  return {
+    initHaptics,
+    play,
+  };
+}
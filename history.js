@@ -0,0 +1,287 @@
+// history.js
+// Handles: round history + per-phrase statistics in IndexedDB, and the History screen.
+// Every call degrades to a no-op/empty result where IndexedDB is unavailable.
+// Expects you to pass in elements + callbacks (setScreen).
+
+import { gameModeLabel } from './gamemodes.js';
+
+const DB_NAME = 'gtp.v1.history';
+const DB_VERSION = 1;
+const ROUNDS_STORE = 'rounds';
+
+// Round record shape:
+// {
+//   id, deckId, deckName, team,
+//   startedAt, endedAt, durationMs, reason,
+//   settings: { timerSeconds, deckStrategy, avoidRecentRounds, loopWhenFinished, hintAutoSeconds,
+//               teamMode, gameMode, gameModeAmount },
+//   shown, got, pass, buzz, score,
+//   cards: [{ phrase, action, originalAction, ms, hintUsed, style, at }]   (buzz/style: Taboo/charades modes)
+//          action 'unanswered': the card still up when the round ended
+// }
+
+// 4321 -> "4.3s" (card and round times, here and in the round log)
+export function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+export function phraseKey(phrase) {
+  return String(phrase || '').trim().toLowerCase();
+}
+
+// Aggregates rounds (any order) into Map<phraseKey, stats>
+export function computePhraseStats(rounds) {
+  const stats = new Map();
+  const ordered = rounds.slice().sort((a, b) => a.endedAt - b.endedAt);
+
+  ordered.forEach((round, roundIndex) => {
+    for (const card of round.cards || []) {
+      const key = phraseKey(card.phrase);
+      if (!key) continue;
+      let s = stats.get(key);
+      if (!s) {
+        s = { phrase: card.phrase, shown: 0, got: 0, pass: 0, gotMsTotal: 0, lastSeenAt: 0, lastRoundIndex: -1 };
+        stats.set(key, s);
+      }
+      s.shown += 1;
+      if (card.action === 'got') {
+        s.got += 1;
+        s.gotMsTotal += card.ms || 0;
+      }
+      if (card.action === 'pass') s.pass += 1;
+      s.lastSeenAt = Math.max(s.lastSeenAt, card.at || round.endedAt || 0);
+      s.lastRoundIndex = roundIndex;
+    }
+  });
+
+  for (const s of stats.values()) {
+    s.gotRate = s.shown ? s.got / s.shown : 0;
+    s.avgGotMs = s.got ? s.gotMsTotal / s.got : 0;
+    // 0 = seen in the most recent round, 1 = the one before, ...
+    s.roundsAgo = ordered.length - 1 - s.lastRoundIndex;
+  }
+  return stats;
+}
+
+export function createHistoryController({ elements, setScreen }) {
+  const {
+    historyBtn,
+    historyBackBtn,
+    historyClearBtn,
+    historyDeckFilter,
+    phraseStatsBody,
+    phraseStatsEmpty,
+    historyRounds,
+  } = elements;
+
+  let dbPromise = null;
+
+  // -----------------------------
+  // IndexedDB plumbing
+  // -----------------------------
+  function isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  function openDb() {
+    if (!isSupported()) return Promise.resolve(null);
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve) => {
+      let req;
+      try {
+        req = indexedDB.open(DB_NAME, DB_VERSION);
+      } catch {
+        resolve(null);
+        return;
+      }
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(ROUNDS_STORE)) {
+          const store = db.createObjectStore(ROUNDS_STORE, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('endedAt', 'endedAt');
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null);
+      req.onblocked = () => resolve(null);
+    });
+    return dbPromise;
+  }
+
+  function requestToPromise(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  async function withStore(mode, fn) {
+    const db = await openDb();
+    if (!db) return null;
+    try {
+      const tx = db.transaction(ROUNDS_STORE, mode);
+      return await requestToPromise(fn(tx.objectStore(ROUNDS_STORE)));
+    } catch {
+      return null;
+    }
+  }
+
+  // -----------------------------
+  // Public data API
+  // -----------------------------
+  // Inserts a new round, or replaces it when `record.id` is set. Resolves to the id.
+  async function saveRound(record) {
+    const copy = { ...record };
+    if (copy.id == null) delete copy.id;
+    return withStore('readwrite', (store) => store.put(copy));
+  }
+
+  async function getRounds() {
+    const rounds = await withStore('readonly', (store) => store.getAll());
+    return (rounds || []).sort((a, b) => b.endedAt - a.endedAt);
+  }
+
+  async function getPhraseStats({ deckId = null } = {}) {
+    const rounds = await getRounds();
+    return computePhraseStats(deckId ? rounds.filter((r) => r.deckId === deckId) : rounds);
+  }
+
+  async function clearHistory() {
+    await withStore('readwrite', (store) => store.clear());
+  }
+
+  // -----------------------------
+  // History screen
+  // -----------------------------
+  function formatDate(ts) {
+    try {
+      return new Date(ts).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+    } catch {
+      return new Date(ts).toISOString();
+    }
+  }
+
+  function renderDeckFilter(rounds) {
+    const current = historyDeckFilter.value;
+    const decks = new Map();
+    for (const r of rounds) {
+      if (r.deckId && !decks.has(r.deckId)) decks.set(r.deckId, r.deckName || 'Untitled deck');
+    }
+
+    historyDeckFilter.textContent = '';
+    const all = document.createElement('option');
+    all.value = '';
+    all.textContent = 'All decks';
+    historyDeckFilter.appendChild(all);
+    for (const [id, name] of decks) {
+      const opt = document.createElement('option');
+      opt.value = id;
+      opt.textContent = name;
+      historyDeckFilter.appendChild(opt);
+    }
+    historyDeckFilter.value = decks.has(current) ? current : '';
+  }
+
+  function renderPhraseStats(rounds) {
+    const deckId = historyDeckFilter.value;
+    const stats = computePhraseStats(deckId ? rounds.filter((r) => r.deckId === deckId) : rounds);
+    // Hardest first: lowest got rate, then most shown
+    const rows = [...stats.values()].sort((a, b) => a.gotRate - b.gotRate || b.shown - a.shown);
+
+    phraseStatsBody.textContent = '';
+    phraseStatsEmpty.hidden = rows.length > 0;
+
+    for (const s of rows) {
+      const tr = document.createElement('tr');
+      const cells = [
+        s.phrase,
+        String(s.shown),
+        `${Math.round(s.gotRate * 100)}%`,
+        s.got ? formatSeconds(s.avgGotMs) : '—'
+      ];
+      cells.forEach((text, i) => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        if (i > 0) td.className = 'num';
+        tr.appendChild(td);
+      });
+      phraseStatsBody.appendChild(tr);
+    }
+  }
+
+  function renderRounds(rounds) {
+    historyRounds.textContent = '';
+
+    if (rounds.length === 0) {
+      const li = document.createElement('li');
+      li.className = 'meta';
+      li.textContent = isSupported()
+        ? 'No rounds yet. Finished rounds show up here.'
+        : 'History is not available in this browser.';
+      historyRounds.appendChild(li);
+      return;
+    }
+
+    for (const round of rounds) {
+      const li = document.createElement('li');
+      const details = document.createElement('details');
+      details.className = 'history-round';
+
+      const summary = document.createElement('summary');
+      const title = document.createElement('strong');
+      const mode = round.settings?.gameMode && round.settings.gameMode !== 'classic' ? gameModeLabel(round.settings.gameMode) : '';
+      title.textContent = `${round.deckName || 'Untitled deck'}${round.team ? ` · ${round.team}` : ''}${mode ? ` · ${mode}` : ''}`;
+      const meta = document.createElement('span');
+      meta.className = 'meta';
+      meta.textContent =
+        `${formatDate(round.endedAt)} · ${round.got} got / ${round.pass} pass${round.buzz ? ` / ${round.buzz} buzz` : ''} · ${formatSeconds(round.durationMs)}`;
+      summary.append(title, meta);
+
+      const list = document.createElement('ol');
+      list.className = 'plain-list';
+      for (const card of round.cards || []) {
+        const item = document.createElement('li');
+        const phrase = document.createElement('strong');
+        phrase.textContent = card.phrase;
+        item.append(phrase, ` — ${card.action} in ${formatSeconds(card.ms)}${card.hintUsed ? ' (hint)' : ''}`);
+        list.appendChild(item);
+      }
+
+      details.append(summary, list);
+      li.appendChild(details);
+      historyRounds.appendChild(li);
+    }
+  }
+
+  let cachedRounds = [];
+
+  async function openHistory() {
+    setScreen('history');
+    cachedRounds = await getRounds();
+    renderDeckFilter(cachedRounds);
+    renderPhraseStats(cachedRounds);
+    renderRounds(cachedRounds);
+  }
+
+  // Wire everything once
+  function initHistory({ onBack }) {
+    historyBtn.addEventListener('click', openHistory);
+    historyBackBtn.addEventListener('click', onBack);
+    historyDeckFilter.addEventListener('change', () => renderPhraseStats(cachedRounds));
+    historyClearBtn.addEventListener('click', async () => {
+      if (!confirm('Delete all round history and phrase stats?')) return;
+      await clearHistory();
+      await openHistory();
+    });
+  }
+
+  return {
+    initHistory,
+    openHistory,
+    saveRound,
+    getRounds,
+    getPhraseStats,
+    clearHistory,
+  };
+}
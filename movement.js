@@ -1,13 +1,196 @@
 // movement.js
-// Handles: swipe, tap, tilt (DeviceOrientationEvent) + tilt permission button.
-// Expects you to pass in State + callbacks it should call (advance/endRound/etc).
+// Handles: swipe, tap, long-press, tilt (DeviceOrientationEvent), keyboard / Bluetooth remote,
+// gamepads + tilt permission button + the key/controller binding lists in Options.
+// Every input is normalized into one action stream: { action, source, at }
+//   action: 'got' | 'pass' | 'next' | 'buzz' | 'end' | 'hint' | 'pause'   (buzz: Taboo mode only)
+//   source: 'swipe' | 'tap' | 'tilt' | 'key' | 'gamepad' | 'remote' (paired device, see remote.js)
+// app.js subscribes once via onAction(); new input sources only dispatch into the stream.
+// Expects you to pass in State + elements (+ saveSettings for key bindings / the permission fallback).
 
+export const ACTIONS = ['got', 'pass', 'next', 'buzz', 'end', 'hint', 'pause'];
+export const SOURCES = ['swipe', 'tap', 'tilt', 'key', 'gamepad', 'remote'];
+
+// Page-turner remotes send PageUp/PageDown (some send arrows), so both work out of the box
+export const DEFAULT_KEY_BINDINGS = {
+  got: ['ArrowRight', 'PageDown'],
+  pass: ['ArrowLeft', 'PageUp'],
+  next: ['Space', 'ArrowDown'],
+  buzz: ['B'],
+  hint: ['ArrowUp', 'H'],
+  pause: ['P'],
+  end: ['Escape']
+};
+
+const ACTION_LABELS = {
+  got: 'Got it',
+  pass: 'Pass',
+  next: 'Next',
+  buzz: 'Buzz (Taboo)',
+  hint: 'Show hint',
+  pause: 'Pause / resume',
+  end: 'End round'
+};
+
+const KEY_LABELS = {
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  PageUp: 'Page Up',
+  PageDown: 'Page Down',
+  Escape: 'Esc'
+};
+
+// Gamepad inputs use the "standard" mapping: B<n> = buttons[n], A<n>+ / A<n>- = a flick of axes[n]
+export const GAMEPAD_INPUT_LABELS = {
+  B0: 'A', B1: 'B', B2: 'X', B3: 'Y',
+  B4: 'LB', B5: 'RB', B6: 'LT', B7: 'RT',
+  B8: 'Back', B9: 'Start', B10: 'L3', B11: 'R3',
+  B12: 'D-pad ↑', B13: 'D-pad ↓', B14: 'D-pad ←', B15: 'D-pad →',
+  'A0-': 'Left stick ←', 'A0+': 'Left stick →', 'A1-': 'Left stick ↑', 'A1+': 'Left stick ↓',
+  'A2-': 'Right stick ←', 'A2+': 'Right stick →', 'A3-': 'Right stick ↑', 'A3+': 'Right stick ↓'
+};
+
+export const DEFAULT_GAMEPAD_BINDINGS = {
+  got: ['B0', 'B15', 'A0+'],
+  pass: ['B1', 'B14', 'A0-'],
+  next: ['B3', 'B13'],
+  buzz: ['B4'],
+  hint: ['B2', 'B12'],
+  pause: ['B9'],
+  end: ['B8']
+};
+
+// Tilt thresholds (degrees of pitch away from the neutral pose, see tiltPitch) used when no profile is active
+export const DEFAULT_TILT = {
+  forwardTriggerDelta: 18,    // forward/down => GOT IT
+  backwardTriggerDelta: -18,  // backward/up => PASS
+  neutralZoneAbs: 10,         // return within this to re-arm
+  minIntervalMs: 700,         // debounce
+  baselineSmoothing: 0.12,    // baseline adjustment near neutral
+};
+
+// Signed shortest difference a - b in degrees (angles wrap at ±180)
+export function angleDelta(a, b) {
+  return ((a - b + 540) % 360) - 180;
+}
+
+// Current screen rotation in degrees: 0 portrait, 90 / 270 landscape, 180 upside down
+export function screenAngle(win = globalThis) {
+  const orientation = win.screen && win.screen.orientation;
+  const angle = (orientation && typeof orientation.angle === 'number')
+    ? orientation.angle
+    : (typeof win.orientation === 'number' ? win.orientation : 0);
+  return ((angle % 360) + 360) % 360;
+}
+
+// Forward/backward tilt of the *screen* in degrees (same scale as beta in portrait: ~90 when upright).
+// beta alone only works in portrait; in landscape the nod shows up in gamma, with the sign
+// depending on which way the phone was turned, and gamma jumps at ±90. Instead, take the
+// "up" direction out of beta/gamma in device axes, turn it into screen axes and measure the
+// pitch there, which is continuous through upright and identical in every orientation.
+export function tiltPitch({ beta, gamma }, angle = 0) {
+  const b = (beta * Math.PI) / 180;
+  const g = ((gamma || 0) * Math.PI) / 180;
+  const a = (angle * Math.PI) / 180;
+
+  const upX = -Math.sin(g) * Math.cos(b);
+  const upY = Math.sin(b);
+  const upZ = Math.cos(g) * Math.cos(b);
+
+  const upScreenY = upX * Math.sin(a) + upY * Math.cos(a);
+  return (Math.atan2(upScreenY, upZ) * 180) / Math.PI;
+}
+
+// "On the forehead": screen roughly upright (pitch ~90, facing away from the guesser) and held
+// within READY_STEADY_DEG of one pose for READY_HOLD_MS before the countdown starts
+const FOREHEAD_PITCH = 90;
+const FOREHEAD_RANGE = 30;
+const READY_STEADY_DEG = 6;
+const READY_HOLD_MS = 800;
+
+// Profile fields that override DEFAULT_TILT
+export const TILT_PROFILE_KEYS = ['forwardTriggerDelta', 'backwardTriggerDelta', 'neutralZoneAbs', 'minIntervalMs'];
+
+export const TRACE_FORMAT = 'gtp-input-trace';
+export const TRACE_VERSION = 1;
+
+// Stick flick: past FIRE fires once, must come back inside REARM before it can fire again
+const STICK_FIRE = 0.6;
+const STICK_REARM = 0.3;
+
+// KeyboardEvent -> binding name ('Space', 'H', 'PageDown', ...)
+export function keyName(e) {
+  if (e.key === ' ' || e.key === 'Spacebar') return 'Space';
+  if (e.key.length === 1) return e.key.toUpperCase();
+  return e.key;
+}
+
+// Keeps known actions only, drops unknown values; missing actions fall back to defaults
+function normalizeBindings(raw, defaults, isValid) {
+  const out = {};
+  for (const action of Object.keys(defaults)) {
+    const list = raw && Array.isArray(raw[action]) ? raw[action] : defaults[action];
+    out[action] = [...new Set(list.filter((k) => typeof k === 'string' && isValid(k)))];
+  }
+  return out;
+}
+
+export function normalizeKeyBindings(raw) {
+  return normalizeBindings(raw, DEFAULT_KEY_BINDINGS, (k) => k.length > 0);
+}
+
+export function normalizeGamepadBindings(raw) {
+  return normalizeBindings(raw, DEFAULT_GAMEPAD_BINDINGS, (k) => k in GAMEPAD_INPUT_LABELS);
+}
+
+// One row per action: label, removable chips, then whatever "add" control the caller builds
+function renderBindingRows(listEl, bindings, { chipLabel, emptyText, onRemove, addControl }) {
+  if (!listEl) return;
+  listEl.innerHTML = '';
+
+  for (const action of Object.keys(bindings)) {
+    const row = document.createElement('div');
+    row.className = 'key-binding';
+
+    const label = document.createElement('span');
+    label.className = 'key-binding-label';
+    label.textContent = ACTION_LABELS[action];
+    row.appendChild(label);
+
+    const chips = document.createElement('span');
+    chips.className = 'key-binding-keys';
+    for (const name of bindings[action]) {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'key-chip';
+      chip.textContent = `${chipLabel(name)} ×`;
+      chip.setAttribute('aria-label', `Remove ${chipLabel(name)} from ${ACTION_LABELS[action]}`);
+      chip.addEventListener('click', () => onRemove(action, name));
+      chips.appendChild(chip);
+    }
+    if (bindings[action].length === 0) {
+      const none = document.createElement('span');
+      none.className = 'hint';
+      none.textContent = emptyText;
+      chips.appendChild(none);
+    }
+    row.appendChild(chips);
+
+    row.appendChild(addControl(action));
+    listEl.appendChild(row);
+  }
+}
+
+// now/win/doc default to the real clock and page; the replay harness (tools/replay.mjs)
+// passes a fake clock and stand-in event targets to run recorded traces headlessly.
 export function createMovementController({
   State,
   elements,
-  advance,
-  endRound,
   saveSettings,
+  now = () => Date.now(),
+  win = window,
+  doc = document,
 }) {
   const {
     gameStage,
@@ -15,11 +198,40 @@ export function createMovementController({
     tapRight,
     nextBtn,
     endBtn,
+    hintBtn,
+    buzzBtn,
+    pauseBtn,
+    resumeBtn,
+    pauseEndBtn,
     tiltStatus,
     motionPermBtn,
     tiltEnabledInput,
+    keyBindingsList,
+    keyBindingsResetBtn,
+    gamepadBindingsList,
+    gamepadResetBtn,
+    gamepadStatus,
   } = elements;
 
+  // -----------------------------
+  // Action stream
+  // -----------------------------
+  const listeners = new Set();
+
+  function onAction(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  function dispatch(action, source) {
+    if (!ACTIONS.includes(action)) return;
+    // The phase decides what gets through (e.g. only pause/end while paused)
+    if (!State.game.accepts(action)) return;
+    const event = { action, source, at: now() };
+    if (Trace.active) Trace.actions.push({ t: event.at - Trace.startedAt, action, source });
+    for (const listener of listeners) listener(event);
+  }
+
   // -----------------------------
   // Swipe detector (lightweight)
   // -----------------------------
@@ -29,20 +241,20 @@ export function createMovementController({
   const SWIPE_MAX_MS = 800;
 
   function swipeStart(x, y) {
-    if (State.mode !== 'running') return;
+    if (!State.game.is('running')) return;
     Swipe.active = true;
     Swipe.startX = x;
     Swipe.startY = y;
-    Swipe.startT = Date.now();
+    Swipe.startT = now();
   }
 
   function swipeEnd(x, y) {
-    if (!Swipe.active || State.mode !== 'running') return;
+    if (!Swipe.active || !State.game.is('running')) return;
     Swipe.active = false;
 
     const dx = x - Swipe.startX;
     const dy = y - Swipe.startY;
-    const dt = Date.now() - Swipe.startT;
+    const dt = now() - Swipe.startT;
 
     const absX = Math.abs(dx);
     const absY = Math.abs(dy);
@@ -52,8 +264,8 @@ export function createMovementController({
     const isMostlyHorizontal = absY <= SWIPE_MAX_OFF_AXIS;
 
     if (isQuickEnough && isFarEnough && isMostlyHorizontal) {
-      if (dx > 0) advance('got'); // swipe right
-      else advance('pass');       // swipe left
+      if (dx > 0) dispatch('got', 'swipe'); // swipe right
+      else dispatch('pass', 'swipe');       // swipe left
     }
   }
 
@@ -82,48 +294,377 @@ export function createMovementController({
     gameStage.addEventListener('pointerup', (e) => swipeEnd(e.clientX, e.clientY));
 
     // Prevent scroll during game
-    document.addEventListener(
+    doc.addEventListener(
       'touchmove',
       (e) => {
-        if (State.mode === 'running') e.preventDefault();
+        if (State.game.inRound()) e.preventDefault();
       },
       { passive: false }
     );
 
     // Prevent double-tap zoom (best effort)
     let lastTouchEnd = 0;
-    document.addEventListener(
+    doc.addEventListener(
       'touchend',
       (e) => {
-        if (State.mode !== 'running') return;
-        const now = Date.now();
-        if (now - lastTouchEnd <= 300) e.preventDefault();
-        lastTouchEnd = now;
+        if (!State.game.inRound()) return;
+        const t = now();
+        if (t - lastTouchEnd <= 300) e.preventDefault();
+        lastTouchEnd = t;
       },
       { passive: false }
     );
   }
 
+  // -----------------------------
+  // Long-press => hint (swallows the tap that follows)
+  // -----------------------------
+  const LONG_PRESS_MS = 550;
+  const LONG_PRESS_MAX_MOVE = 12;
+  const LongPress = { timerId: null, startX: 0, startY: 0, fired: false };
+
+  function cancelLongPress() {
+    if (LongPress.timerId) {
+      win.clearTimeout(LongPress.timerId);
+      LongPress.timerId = null;
+    }
+  }
+
+  function attachLongPress() {
+    gameStage.addEventListener('pointerdown', (e) => {
+      if (!State.game.is('running')) return;
+      cancelLongPress();
+      LongPress.fired = false;
+      LongPress.startX = e.clientX;
+      LongPress.startY = e.clientY;
+      LongPress.timerId = win.setTimeout(() => {
+        LongPress.timerId = null;
+        LongPress.fired = true;
+        dispatch('hint', 'tap');
+      }, LONG_PRESS_MS);
+    });
+
+    gameStage.addEventListener('pointermove', (e) => {
+      if (!LongPress.timerId) return;
+      const moved = Math.hypot(e.clientX - LongPress.startX, e.clientY - LongPress.startY);
+      if (moved > LONG_PRESS_MAX_MOVE) cancelLongPress();
+    });
+
+    gameStage.addEventListener('pointerup', cancelLongPress);
+    gameStage.addEventListener('pointercancel', cancelLongPress);
+
+    gameStage.addEventListener('click', (e) => {
+      if (!LongPress.fired) return;
+      LongPress.fired = false;
+      e.stopPropagation();
+      e.preventDefault();
+    }, true);
+
+    gameStage.addEventListener('contextmenu', (e) => {
+      if (State.game.inRound()) e.preventDefault();
+    });
+  }
+
   // -----------------------------
   // Tap fallback
   // -----------------------------
   function attachTap() {
-    tapLeft.addEventListener('click', () => advance('pass'));
-    tapRight.addEventListener('click', () => advance('got'));
-    nextBtn.addEventListener('click', () => advance('next'));
-    endBtn.addEventListener('click', () => endRound('Ended early'));
+    tapLeft.addEventListener('click', () => dispatch('pass', 'tap'));
+    tapRight.addEventListener('click', () => dispatch('got', 'tap'));
+    nextBtn.addEventListener('click', () => dispatch('next', 'tap'));
+    endBtn.addEventListener('click', () => dispatch('end', 'tap'));
+    hintBtn?.addEventListener('click', () => dispatch('hint', 'tap'));
+    buzzBtn?.addEventListener('click', () => dispatch('buzz', 'tap'));
+    pauseBtn?.addEventListener('click', () => dispatch('pause', 'tap'));
+    resumeBtn?.addEventListener('click', () => dispatch('pause', 'tap'));
+    pauseEndBtn?.addEventListener('click', () => dispatch('end', 'tap'));
+  }
+
+  // -----------------------------
+  // Keyboard / Bluetooth remote
+  // -----------------------------
+  let keyBindings = normalizeKeyBindings(null);
+  let capturingAction = null; // action waiting for "press a key"
+  let captureNote = ''; // why the last key pressed during capture was refused
+  const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'Tab'];
+
+  function actionForKey(name) {
+    for (const action of Object.keys(keyBindings)) {
+      if (keyBindings[action].includes(name)) return action;
+    }
+    return null;
+  }
+
+  function isTypingTarget(el) {
+    if (!el) return false;
+    const tag = el.tagName;
+    return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || el.isContentEditable;
+  }
+
+  function onKeyDown(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+    if (capturingAction) {
+      if (MODIFIER_KEYS.includes(e.key)) return;
+      e.preventDefault();
+      // Escape backs out and leaves the bindings as they were
+      if (e.key === 'Escape') stopKeyCapture();
+      else bindKey(capturingAction, keyName(e));
+      return;
+    }
+
+    if (!State.game.inRound()) return;
+    if (isTypingTarget(e.target)) return;
+
+    const action = actionForKey(keyName(e));
+    if (!action) return;
+    // Space/arrows/PageDown would otherwise scroll or click the focused button
+    e.preventDefault();
+    if (e.repeat) return;
+    dispatch(action, 'key');
+  }
+
+  function attachKeys() {
+    doc.addEventListener('keydown', onKeyDown);
+  }
+
+  // One key drives one action: a key that already has one is refused (remove it there first)
+  function bindKey(action, name) {
+    const owner = actionForKey(name);
+    if (owner && owner !== action) {
+      captureNote = `${KEY_LABELS[name] || name} is used by ${ACTION_LABELS[owner]}`;
+      renderKeyBindings();
+      return;
+    }
+    if (!owner) keyBindings[action].push(name);
+    capturingAction = null;
+    captureNote = '';
+    saveKeyBindings();
+  }
+
+  function stopKeyCapture() {
+    capturingAction = null;
+    captureNote = '';
+    renderKeyBindings();
+  }
+
+  function unbindKey(action, name) {
+    keyBindings[action] = keyBindings[action].filter((k) => k !== name);
+    saveKeyBindings();
+  }
+
+  function saveKeyBindings() {
+    saveSettings?.({ keyBindings });
+    renderKeyBindings();
+  }
+
+  function renderKeyBindings() {
+    renderBindingRows(keyBindingsList, keyBindings, {
+      chipLabel: (name) => KEY_LABELS[name] || name,
+      emptyText: 'No key',
+      onRemove: unbindKey,
+      addControl: (action) => {
+        const add = document.createElement('button');
+        add.type = 'button';
+        add.className = 'btn btn-ghost btn-sm';
+        const capturing = capturingAction === action;
+        add.textContent = capturing ? `${captureNote ? `${captureNote}. ` : ''}Press a key… (Esc cancels)` : 'Add key';
+        add.addEventListener('click', () => {
+          if (capturing) {
+            stopKeyCapture();
+            return;
+          }
+          capturingAction = action;
+          captureNote = '';
+          renderKeyBindings();
+        });
+        return add;
+      },
+    });
+  }
+
+  function attachKeyBindingsUI() {
+    keyBindingsResetBtn?.addEventListener('click', () => {
+      capturingAction = null;
+      captureNote = '';
+      keyBindings = normalizeKeyBindings(null);
+      saveKeyBindings();
+    });
+    renderKeyBindings();
+  }
+
+  // -----------------------------
+  // Gamepad (polled only during a round: countdown, running, paused)
+  // -----------------------------
+  let gamepadBindings = normalizeGamepadBindings(null);
+  const Pad = { rafId: null, prev: new Map() }; // pad index -> { buttons: [bool], axes: [-1|0|1|null] }
+
+  function hasGamepadApi() {
+    return !!win.navigator && typeof win.navigator.getGamepads === 'function';
+  }
+
+  function connectedPads() {
+    if (!hasGamepadApi()) return [];
+    return [...win.navigator.getGamepads()].filter(Boolean);
+  }
+
+  function actionForPadInput(input) {
+    for (const action of Object.keys(gamepadBindings)) {
+      if (gamepadBindings[action].includes(input)) return action;
+    }
+    return null;
+  }
+
+  // Flick direction for a stick axis; null = in between (neither fired nor re-armed)
+  function axisZone(value) {
+    if (value >= STICK_FIRE) return 1;
+    if (value <= -STICK_FIRE) return -1;
+    if (Math.abs(value) <= STICK_REARM) return 0;
+    return null;
+  }
+
+  function readPad(pad) {
+    return {
+      buttons: pad.buttons.map((b) => b.pressed),
+      axes: pad.axes.map(axisZone)
+    };
+  }
+
+  function pollGamepads() {
+    Pad.rafId = null;
+    if (!State.game.inRound()) {
+      stopGamepadPolling();
+      return;
+    }
+
+    for (const pad of connectedPads()) {
+      const current = readPad(pad);
+      const prev = Pad.prev.get(pad.index);
+      Pad.prev.set(pad.index, current);
+      if (!prev) continue; // first frame only records what is already held
+
+      current.buttons.forEach((pressed, i) => {
+        if (!pressed || prev.buttons[i]) return;
+        const action = actionForPadInput(`B${i}`);
+        if (action) dispatch(action, 'gamepad');
+      });
+
+      current.axes.forEach((zone, i) => {
+        const was = prev.axes[i];
+        if (zone == null) {
+          current.axes[i] = was; // hold the last zone until it clearly fires or re-arms
+          return;
+        }
+        if (zone === 0 || zone === was) return;
+        if (was !== 0) {
+          current.axes[i] = was; // flicked straight across without re-arming
+          return;
+        }
+        const action = actionForPadInput(`A${i}${zone > 0 ? '+' : '-'}`);
+        if (action) dispatch(action, 'gamepad');
+      });
+    }
+
+    Pad.rafId = win.requestAnimationFrame(pollGamepads);
+  }
+
+  function startGamepadPolling() {
+    if (Pad.rafId || !State.game.inRound()) return;
+    if (connectedPads().length === 0) return;
+    Pad.prev.clear();
+    Pad.rafId = win.requestAnimationFrame(pollGamepads);
+  }
+
+  function stopGamepadPolling() {
+    if (Pad.rafId) win.cancelAnimationFrame(Pad.rafId);
+    Pad.rafId = null;
+    Pad.prev.clear();
+  }
+
+  function renderGamepadStatus() {
+    if (!gamepadStatus) return;
+    if (!hasGamepadApi()) {
+      gamepadStatus.textContent = 'This browser does not support game controllers.';
+      return;
+    }
+    const pads = connectedPads();
+    gamepadStatus.textContent = pads.length
+      ? `Connected: ${pads.map((p) => p.id.replace(/\s*\(.*\)\s*$/, '') || 'Controller').join(', ')}`
+      : 'No controller found. Connect one and press any button on it.';
+  }
+
+  function saveGamepadBindings() {
+    saveSettings?.({ gamepadBindings });
+    renderGamepadBindings();
+  }
+
+  function unbindPadInput(action, input) {
+    gamepadBindings[action] = gamepadBindings[action].filter((k) => k !== input);
+    saveGamepadBindings();
+  }
+
+  // One input drives one action, same as keys
+  function bindPadInput(action, input) {
+    for (const other of Object.keys(gamepadBindings)) {
+      gamepadBindings[other] = gamepadBindings[other].filter((k) => k !== input);
+    }
+    gamepadBindings[action].push(input);
+    saveGamepadBindings();
+  }
+
+  // Picked from a list instead of "press a button", so nothing polls outside a round
+  function renderGamepadBindings() {
+    renderBindingRows(gamepadBindingsList, gamepadBindings, {
+      chipLabel: (input) => GAMEPAD_INPUT_LABELS[input],
+      emptyText: 'No button',
+      onRemove: unbindPadInput,
+      addControl: (action) => {
+        const select = document.createElement('select');
+        select.className = 'input input-sm';
+        select.setAttribute('aria-label', `Add a controller button for ${ACTION_LABELS[action]}`);
+        select.add(new Option('Add button…', ''));
+        for (const [input, label] of Object.entries(GAMEPAD_INPUT_LABELS)) {
+          if (!gamepadBindings[action].includes(input)) select.add(new Option(label, input));
+        }
+        select.addEventListener('change', () => {
+          if (select.value) bindPadInput(action, select.value);
+        });
+        return select;
+      },
+    });
+  }
+
+  function attachGamepad() {
+    gamepadResetBtn?.addEventListener('click', () => {
+      gamepadBindings = normalizeGamepadBindings(null);
+      saveGamepadBindings();
+    });
+    renderGamepadBindings();
+    renderGamepadStatus();
+
+    win.addEventListener('gamepadconnected', () => {
+      renderGamepadStatus();
+      startGamepadPolling();
+    });
+    win.addEventListener('gamepaddisconnected', (e) => {
+      Pad.prev.delete(e.gamepad.index);
+      renderGamepadStatus();
+    });
   }
 
   // -----------------------------
   // Tilt controls (DeviceOrientationEvent)
   // -----------------------------
-  const TILT = {
-    forwardTriggerDelta: 18,    // forward/down => GOT IT
-    backwardTriggerDelta: -18,  // backward/up => PASS
-    neutralZoneAbs: 10,         // return within this to re-arm
-    minIntervalMs: 700,         // debounce
-    baselineSmoothing: 0.12     // baseline adjustment near neutral
-  };
+  // Active thresholds; a calibrated profile (calibration.js) replaces them for each round
+  let TILT = { ...DEFAULT_TILT };
+
+  function setTiltProfile(profile) {
+    TILT = { ...DEFAULT_TILT };
+    if (!profile) return;
+    for (const key of TILT_PROFILE_KEYS) {
+      if (typeof profile[key] === 'number' && Number.isFinite(profile[key])) TILT[key] = profile[key];
+    }
+  }
 
   function isIOSNeedsMotionPermission() {
     return (
@@ -154,23 +695,34 @@ export function createMovementController({
 
   function setTiltStatus(extra = '') {
     if (!tiltStatus) return;
-    if (State.mode !== 'running') return;
+    if (!State.game.inRound()) return;
     tiltStatus.textContent = tiltStatusText(extra);
   }
 
   function shouldListenTilt() {
-    return State.tiltEnabled && State.mode === 'running';
+    return State.tiltEnabled && State.game.is('running');
+  }
+
+  // Turning the phone mid-round (e.g. the landscape lock failed) starts a fresh baseline
+  function onScreenRotated() {
+    State.tiltHasBaseline = false;
+    State.tiltArmed = true;
   }
 
   function attachTiltListener() {
     if (State.tiltListenerAttached) return;
-    window.addEventListener('deviceorientation', onDeviceOrientation, { passive: true });
+    win.addEventListener('deviceorientation', onDeviceOrientation, { passive: true });
+    if (win.screen && win.screen.orientation) win.screen.orientation.addEventListener('change', onScreenRotated);
+    else win.addEventListener('orientationchange', onScreenRotated);
     State.tiltListenerAttached = true;
   }
 
   function disableTiltListener() {
+    cancelForeheadWait();
     if (!State.tiltListenerAttached) return;
-    window.removeEventListener('deviceorientation', onDeviceOrientation);
+    win.removeEventListener('deviceorientation', onDeviceOrientation);
+    if (win.screen && win.screen.orientation) win.screen.orientation.removeEventListener('change', onScreenRotated);
+    else win.removeEventListener('orientationchange', onScreenRotated);
     State.tiltListenerAttached = false;
   }
 
@@ -199,20 +751,72 @@ export function createMovementController({
       State.tiltHasBaseline = true;
       return;
     }
-    const delta = beta - State.tiltNeutralBeta;
+    const delta = angleDelta(beta, State.tiltNeutralBeta);
     if (Math.abs(delta) <= TILT.neutralZoneAbs + 4) {
       State.tiltNeutralBeta = State.tiltNeutralBeta + delta * TILT.baselineSmoothing;
     }
   }
 
+  // -----------------------------
+  // Forehead readiness (before the countdown)
+  // -----------------------------
+  const Ready = { onReady: null, since: 0 };
+
+  // Calls onReady once the phone has been held steady on the forehead. The steady pose becomes
+  // the round's tilt baseline. -> false when tilt isn't listening (off / no permission).
+  function waitForForehead(onReady) {
+    if (!State.tiltListenerAttached) return false;
+    Ready.onReady = onReady;
+    Ready.since = 0;
+    State.tiltHasBaseline = false;
+    setTiltStatus('Place on forehead');
+    return true;
+  }
+
+  function cancelForeheadWait() {
+    Ready.onReady = null;
+    Ready.since = 0;
+  }
+
+  function trackForehead(beta) {
+    if (Math.abs(angleDelta(beta, FOREHEAD_PITCH)) > FOREHEAD_RANGE) {
+      Ready.since = 0;
+      setTiltStatus('Place on forehead');
+      return;
+    }
+
+    // Moving more than a little starts the hold again from the new pose
+    if (!Ready.since || Math.abs(angleDelta(beta, State.tiltNeutralBeta)) > READY_STEADY_DEG) {
+      State.tiltHasBaseline = false;
+      Ready.since = now();
+    }
+    calibrateBaseline(beta);
+
+    if (now() - Ready.since < READY_HOLD_MS) {
+      setTiltStatus('Hold steady…');
+      return;
+    }
+
+    const done = Ready.onReady;
+    cancelForeheadWait();
+    State.tiltArmed = true;
+    setTiltStatus('Ready');
+    done();
+  }
+
   function onDeviceOrientation(e) {
-    if (!shouldListenTilt()) return;
+    if (typeof e.beta !== 'number') return;
+    // "beta" from here on is the orientation-corrected pitch (see tiltPitch)
+    const beta = tiltPitch(e, screenAngle(win));
 
-    const beta = (typeof e.beta === 'number') ? e.beta : null;
-    if (beta == null) return;
+    if (Ready.onReady && State.game.is('countdown')) {
+      trackForehead(beta);
+      return;
+    }
+    if (!shouldListenTilt()) return;
 
     calibrateBaseline(beta);
-    const delta = beta - State.tiltNeutralBeta;
+    const delta = angleDelta(beta, State.tiltNeutralBeta);
 
     if (!State.tiltArmed) {
       if (Math.abs(delta) <= TILT.neutralZoneAbs) {
@@ -224,22 +828,22 @@ export function createMovementController({
       return;
     }
 
-    const now = Date.now();
-    if (now - State.tiltLastActionAt < TILT.minIntervalMs) return;
+    const t = now();
+    if (t - State.tiltLastActionAt < TILT.minIntervalMs) return;
 
     if (delta >= TILT.forwardTriggerDelta) {
       State.tiltArmed = false;
-      State.tiltLastActionAt = now;
+      State.tiltLastActionAt = t;
       setTiltStatus('Got it');
-      advance('got');
+      dispatch('got', 'tilt');
       return;
     }
 
     if (delta <= TILT.backwardTriggerDelta) {
       State.tiltArmed = false;
-      State.tiltLastActionAt = now;
+      State.tiltLastActionAt = t;
       setTiltStatus('Pass');
-      advance('pass');
+      dispatch('pass', 'tilt');
       return;
     }
 
@@ -262,7 +866,7 @@ export function createMovementController({
       }
 
       motionPermBtn.hidden = true;
-      if (State.mode === 'running') {
+      if (State.game.inRound()) {
         maybeEnableTiltDuringGame();
       } else {
         setTiltStatus('Ready');
@@ -270,12 +874,116 @@ export function createMovementController({
     });
   }
 
+  // -----------------------------
+  // Input traces (raw events of one round, replayed by tools/replay.mjs)
+  // -----------------------------
+  // { t, type, target, x, y } pointer/touch/click, { t, type: 'keydown', key, repeat },
+  // { t, type: 'deviceorientation', beta, gamma, angle }; t = ms since the trace started
+  const Trace = { active: false, startedAt: 0, events: [], actions: [], pointerDown: false };
+
+  function traceTargetName(el) {
+    if (el === tapLeft) return 'tapLeft';
+    if (el === tapRight) return 'tapRight';
+    if (el === nextBtn) return 'nextBtn';
+    if (el === endBtn) return 'endBtn';
+    if (el === hintBtn) return 'hintBtn';
+    if (el === buzzBtn) return 'buzzBtn';
+    if (el === pauseBtn) return 'pauseBtn';
+    if (el === resumeBtn) return 'resumeBtn';
+    if (el === pauseEndBtn) return 'pauseEndBtn';
+    return 'stage';
+  }
+
+  function round1(n) {
+    return Math.round(n * 10) / 10;
+  }
+
+  function traceEvent(type, fields) {
+    if (!Trace.active) return;
+    Trace.events.push({ t: now() - Trace.startedAt, type, ...fields });
+  }
+
+  function tracePointer(e) {
+    if (e.type === 'pointerdown') Trace.pointerDown = true;
+    // Moves only matter mid-gesture, and would otherwise flood the trace
+    if (e.type === 'pointermove' && !Trace.pointerDown) return;
+    if (e.type === 'pointerup' || e.type === 'pointercancel') Trace.pointerDown = false;
+    traceEvent(e.type, { target: traceTargetName(e.target), x: round1(e.clientX), y: round1(e.clientY) });
+  }
+
+  function traceTouch(e) {
+    const t = e.changedTouches && e.changedTouches[0];
+    if (!t) return;
+    traceEvent(e.type, {
+      target: traceTargetName(e.target),
+      x: round1(t.clientX),
+      y: round1(t.clientY),
+      touches: e.touches ? e.touches.length : 0
+    });
+  }
+
+  function traceClick(e) {
+    traceEvent('click', { target: traceTargetName(e.target) });
+  }
+
+  function traceKey(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    traceEvent('keydown', { key: e.key, repeat: !!e.repeat });
+  }
+
+  function traceOrientation(e) {
+    if (typeof e.beta !== 'number') return;
+    traceEvent('deviceorientation', { beta: round1(e.beta), gamma: round1(e.gamma || 0), angle: screenAngle(win) });
+  }
+
+  // Registered before the real handlers so swallowed clicks etc. still get recorded
+  function attachTraceRecorder() {
+    for (const type of ['pointerdown', 'pointermove', 'pointerup', 'pointercancel']) {
+      gameStage.addEventListener(type, tracePointer);
+    }
+    for (const type of ['touchstart', 'touchend']) {
+      gameStage.addEventListener(type, traceTouch, { passive: true });
+    }
+    gameStage.addEventListener('click', traceClick, true);
+    for (const el of [nextBtn, endBtn, hintBtn, buzzBtn, pauseBtn, resumeBtn, pauseEndBtn]) el?.addEventListener('click', traceClick);
+    doc.addEventListener('keydown', traceKey);
+  }
+
+  function startTrace() {
+    Trace.active = true;
+    Trace.startedAt = now();
+    Trace.events = [];
+    Trace.actions = [];
+    Trace.pointerDown = false;
+    win.addEventListener('deviceorientation', traceOrientation, { passive: true });
+  }
+
+  // -> trace object (see tools/replay.mjs), or null when nothing was being recorded
+  function stopTrace() {
+    if (!Trace.active) return null;
+    Trace.active = false;
+    win.removeEventListener('deviceorientation', traceOrientation);
+    return {
+      format: TRACE_FORMAT,
+      version: TRACE_VERSION,
+      recordedAt: new Date(Trace.startedAt).toISOString(),
+      userAgent: (win.navigator && win.navigator.userAgent) || '',
+      viewport: { width: win.innerWidth || 0, height: win.innerHeight || 0 },
+      tiltEnabled: !!State.tiltEnabled,
+      tilt: { ...TILT },
+      keyBindings,
+      events: Trace.events,
+      actions: Trace.actions
+    };
+  }
+
   // Expose small lifecycle helpers for app.js
   function onGameScreenEntered() {
     // keep status in sync when game starts
     if (tiltStatus) {
       tiltStatus.textContent = tiltStatusText(State.tiltEnabled ? 'Ready' : 'Off');
     }
+    startGamepadPolling();
   }
 
   function onRoundStartResetTiltState() {
@@ -285,19 +993,35 @@ export function createMovementController({
   }
 
   // Wire everything once
-  function initMovement() {
+  function initMovement(settings) {
+    keyBindings = normalizeKeyBindings(settings?.keyBindings);
+    gamepadBindings = normalizeGamepadBindings(settings?.gamepadBindings);
+    attachTraceRecorder();
     attachSwipe();
+    attachLongPress();
     attachTap();
+    attachKeys();
+    attachKeyBindingsUI();
+    attachGamepad();
     attachTiltPermissionButton();
   }
 
   return {
     initMovement,
+    onAction,
+    dispatch,
     maybeEnableTiltDuringGame,
     disableTiltListener,
+    stopGamepadPolling,
     isIOSNeedsMotionPermission,
+    requestMotionPermission,
+    setTiltProfile,
+    startTrace,
+    stopTrace,
     onGameScreenEntered,
     onRoundStartResetTiltState,
     setTiltStatus,
+    waitForForehead,
+    cancelForeheadWait,
   };
-}
\ No newline at end of file
+}
@@ -0,0 +1,190 @@
+// phrases.js
+// Handles: parsing a deck's text into cards + filtering cards by category/tag/difficulty.
+//
+// Format (one card per line; plain lists still work as before):
+//   # comment
+//   [Category]                         -> applies to every card below it ([] clears it)
+//   Phrase
+//   Phrase :: hint
+//   Phrase :: hint {difficulty: 2, tags: kids,movies}
+//   Phrase :: hint || forbidden, words   -> Taboo words (hint optional: "Phrase || a, b")
+//
+// Malformed lines come back as line-numbered warnings instead of vanishing silently.
+
+export const DIFFICULTY_MIN = 1;
+export const DIFFICULTY_MAX = 5;
+
+const META_KEYS = ['difficulty', 'tags', 'category'];
+
+function parseTags(value) {
+  return value
+    .split(',')
+    .map((t) => t.trim().toLowerCase())
+    .filter((t) => t.length > 0);
+}
+
+// "cheese, slice, Italy" -> ['cheese', 'slice', 'Italy'] (case kept, repeats dropped ignoring case)
+function parseForbidden(value) {
+  const seen = new Set();
+  const words = [];
+  for (const raw of value.split(',')) {
+    const word = raw.trim();
+    if (!word || seen.has(word.toLowerCase())) continue;
+    seen.add(word.toLowerCase());
+    words.push(word);
+  }
+  return words;
+}
+
+// "{difficulty: 2, tags: kids,movies}" body -> { meta, problems }
+// A new pair starts at ", key:" so tag lists can keep their commas.
+function parseMeta(body) {
+  const meta = {};
+  const problems = [];
+
+  const pairs = body.split(/,\s*(?=[A-Za-z_]+\s*:)/).map((p) => p.trim()).filter(Boolean);
+  for (const pair of pairs) {
+    const idx = pair.indexOf(':');
+    if (idx < 0) {
+      problems.push(`Ignored metadata "${pair}" (expected key: value)`);
+      continue;
+    }
+    const key = pair.slice(0, idx).trim().toLowerCase();
+    const value = pair.slice(idx + 1).trim();
+
+    if (!META_KEYS.includes(key)) {
+      problems.push(`Ignored unknown metadata key "${key}"`);
+      continue;
+    }
+
+    if (key === 'difficulty') {
+      const n = Number(value);
+      if (!Number.isInteger(n) || n < DIFFICULTY_MIN || n > DIFFICULTY_MAX) {
+        problems.push(`Ignored difficulty "${value}" (must be a whole number from ${DIFFICULTY_MIN} to ${DIFFICULTY_MAX})`);
+        continue;
+      }
+      meta.difficulty = n;
+    } else if (key === 'tags') {
+      meta.tags = parseTags(value);
+    } else if (key === 'category') {
+      meta.category = value;
+    }
+  }
+
+  return { meta, problems };
+}
+
+// "Say {x} twice" is fine as text; "Say {x twice" or "x} y" is probably broken metadata
+function bracesBalanced(text) {
+  let depth = 0;
+  for (const c of text) {
+    if (c === '{') depth += 1;
+    if (c === '}') depth -= 1;
+    if (depth < 0) return false;
+  }
+  return depth === 0;
+}
+
+// -> { phrases: [{ phrase, hint, forbidden, category, difficulty, tags, line }], warnings: [{ line, message }] }
+export function parsePhraseText(text) {
+  const phrases = [];
+  const warnings = [];
+  const seen = new Map(); // lowercased phrase -> first line
+  let category = '';
+
+  String(text || '').split(/\r?\n/).forEach((raw, i) => {
+    const lineNo = i + 1;
+    let line = raw.trim();
+    if (line.length === 0 || line.startsWith('#')) return;
+
+    // [Category] section header (a line that only starts with [ is an ordinary phrase)
+    if (line.startsWith('[') && line.endsWith(']')) {
+      category = line.slice(1, -1).trim();
+      return;
+    }
+
+    // Trailing {key: value, ...} metadata
+    let meta = {};
+    const metaMatch = line.match(/\{([^{}]*)\}\s*$/);
+    if (metaMatch) {
+      const parsed = parseMeta(metaMatch[1]);
+      meta = parsed.meta;
+      for (const message of parsed.problems) warnings.push({ line: lineNo, message });
+      line = line.slice(0, metaMatch.index).trim();
+    } else if (!bracesBalanced(line)) {
+      warnings.push({ line: lineNo, message: 'Unbalanced { } — metadata must be a single {...} at the end of the line' });
+    }
+
+    // Forbidden words: everything after the first ||
+    let forbidden = [];
+    const forbiddenAt = line.indexOf('||');
+    if (forbiddenAt >= 0) {
+      forbidden = parseForbidden(line.slice(forbiddenAt + 2));
+      if (forbidden.length === 0) warnings.push({ line: lineNo, message: 'Nothing after || (expected forbidden words, comma separated)' });
+      line = line.slice(0, forbiddenAt).trim();
+    }
+
+    const parts = line.split('::');
+    const phrase = (parts[0] ?? '').trim();
+    // allow extra :: inside description by joining remainder back
+    const hint = parts.slice(1).join('::').trim();
+
+    if (phrase.length === 0) {
+      warnings.push({ line: lineNo, message: 'Missing phrase (nothing before ::)' });
+      return;
+    }
+
+    const key = phrase.toLowerCase();
+    if (seen.has(key)) {
+      warnings.push({ line: lineNo, message: `Duplicate of line ${seen.get(key)} ("${phrase}")` });
+    } else {
+      seen.set(key, lineNo);
+    }
+
+    phrases.push({
+      phrase,
+      hint,
+      forbidden,
+      category: meta.category ?? category,
+      difficulty: meta.difficulty ?? null,
+      tags: meta.tags ?? [],
+      line: lineNo
+    });
+  });
+
+  return { phrases, warnings };
+}
+
+export function parsePhrases(text) {
+  return parsePhraseText(text).phrases;
+}
+
+// Distinct categories/tags present in a parsed list (for filter menus)
+export function collectFacets(phrases) {
+  const categories = new Set();
+  const tags = new Set();
+  let hasDifficulty = false;
+
+  for (const p of phrases) {
+    if (p.category) categories.add(p.category);
+    for (const t of p.tags || []) tags.add(t);
+    if (typeof p.difficulty === 'number') hasDifficulty = true;
+  }
+
+  const byName = (a, b) => a.localeCompare(b);
+  return {
+    categories: [...categories].sort(byName),
+    tags: [...tags].sort(byName),
+    hasDifficulty
+  };
+}
+
+// Empty filter values mean "any". maxDifficulty only keeps cards tagged at or below it.
+export function filterPhrases(phrases, { category = '', tag = '', maxDifficulty = 0 } = {}) {
+  return phrases.filter((p) => {
+    if (category && p.category !== category) return false;
+    if (tag && !(p.tags || []).includes(tag)) return false;
+    if (maxDifficulty > 0 && !(typeof p.difficulty === 'number' && p.difficulty <= maxDifficulty)) return false;
+    return true;
+  });
+}
@@ -0,0 +1,388 @@
+// qr.js
+// Handles: QR code generation (byte mode, versions 1–40, EC level L/M) + drawing to a canvas.
+// Self-contained so sharing works offline; no network, no third-party code.
+// Structure follows the QR spec (ISO/IEC 18004): segment bits -> Reed–Solomon blocks ->
+// interleave -> place in the matrix -> pick the mask with the lowest penalty.
+
+const ECL = {
+  // formatBits per spec; tables indexed by version (index 0 unused)
+  L: {
+    formatBits: 1,
+    eccPerBlock: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    blocks: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25]
+  },
+  M: {
+    formatBits: 0,
+    eccPerBlock: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    blocks: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49]
+  }
+};
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+
+// -----------------------------
+// Capacity
+// -----------------------------
+function numRawDataModules(ver) {
+  let result = (16 * ver + 128) * ver + 64;
+  if (ver >= 2) {
+    const numAlign = Math.floor(ver / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (ver >= 7) result -= 36;
+  }
+  return result;
+}
+
+function numDataCodewords(ver, ecl) {
+  return Math.floor(numRawDataModules(ver) / 8) - ECL[ecl].eccPerBlock[ver] * ECL[ecl].blocks[ver];
+}
+
+function byteSegmentBits(ver, byteLength) {
+  const countBits = ver <= 9 ? 8 : 16;
+  return 4 + countBits + byteLength * 8;
+}
+
+// Largest byte payload a single code can hold at the given EC level
+export function maxQrBytes(ecl = 'L') {
+  return Math.floor((numDataCodewords(MAX_VERSION, ecl) * 8 - 4 - 16) / 8);
+}
+
+// -----------------------------
+// Reed–Solomon over GF(2^8), polynomial 0x11D
+// -----------------------------
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z & 0xff;
+}
+
+function rsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function rsRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => {
+      result[i] ^= gfMultiply(coef, factor);
+    });
+  }
+  return result;
+}
+
+// -----------------------------
+// Codewords
+// -----------------------------
+function dataCodewords(bytes, ver, ecl) {
+  const bits = [];
+  const push = (value, len) => {
+    for (let i = len - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  push(0x4, 4); // byte mode
+  push(bytes.length, ver <= 9 ? 8 : 16);
+  for (const b of bytes) push(b, 8);
+
+  const capacityBits = numDataCodewords(ver, ecl) * 8;
+  push(0, Math.min(4, capacityBits - bits.length)); // terminator
+  push(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) push(pad, 8);
+
+  const out = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    let b = 0;
+    for (let j = 0; j < 8; j++) b = (b << 1) | bits[i + j];
+    out.push(b);
+  }
+  return out;
+}
+
+function addEccAndInterleave(data, ver, ecl) {
+  const numBlocks = ECL[ecl].blocks[ver];
+  const blockEccLen = ECL[ecl].eccPerBlock[ver];
+  const rawCodewords = Math.floor(numRawDataModules(ver) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+  const divisor = rsDivisor(blockEccLen);
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+    k += dat.length;
+    const ecc = rsRemainder(dat, divisor);
+    if (i < numShortBlocks) dat.push(0); // placeholder so all blocks line up
+    blocks.push(dat.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // Skip the placeholder byte of short blocks
+      if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+// -----------------------------
+// Matrix
+// -----------------------------
+function alignmentPositions(ver) {
+  if (ver === 1) return [];
+  const size = ver * 4 + 17;
+  const numAlign = Math.floor(ver / 7) + 2;
+  const step = ver === 32 ? 26 : Math.ceil((ver * 4 + 4) / (numAlign * 2 - 2)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+  return result;
+}
+
+function getBit(x, i) {
+  return ((x >>> i) & 1) !== 0;
+}
+
+function createMatrix(ver) {
+  const size = ver * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns (+ separators)
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || x >= size || y < 0 || y >= size) continue;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        set(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  }
+
+  // Alignment patterns (not on top of finders)
+  const align = alignmentPositions(ver);
+  const n = align.length;
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      if ((i === 0 && j === 0) || (i === 0 && j === n - 1) || (i === n - 1 && j === 0)) continue;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          set(align[i] + dx, align[j] + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    }
+  }
+
+  // Version information (v7+)
+  if (ver >= 7) {
+    let rem = ver;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (ver << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const bit = getBit(bits, i);
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, bit);
+      set(b, a, bit);
+    }
+  }
+
+  return { size, modules, isFunction, set };
+}
+
+function drawFormatBits(m, ecl, mask) {
+  const data = (ECL[ecl].formatBits << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = ((data << 10) | rem) ^ 0x5412;
+  const { size, set } = m;
+
+  for (let i = 0; i <= 5; i++) set(8, i, getBit(bits, i));
+  set(8, 7, getBit(bits, 6));
+  set(8, 8, getBit(bits, 7));
+  set(7, 8, getBit(bits, 8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, getBit(bits, i));
+
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, getBit(bits, i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, getBit(bits, i));
+  set(8, size - 8, true); // always-dark module
+}
+
+function drawCodewords(m, codewords) {
+  const { size, modules, isFunction } = m;
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (!isFunction[y][x] && i < codewords.length * 8) {
+          modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+          i += 1;
+        }
+      }
+    }
+  }
+}
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+function applyMask(m, mask) {
+  const fn = MASKS[mask];
+  for (let y = 0; y < m.size; y++) {
+    for (let x = 0; x < m.size; x++) {
+      if (!m.isFunction[y][x] && fn(x, y)) m.modules[y][x] = !m.modules[y][x];
+    }
+  }
+}
+
+// Standard penalty rules N1–N4 (lower = easier to scan)
+function penaltyScore(modules) {
+  const size = modules.length;
+  let score = 0;
+
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i]);
+    lines.push(modules.map((row) => row[i]));
+  }
+
+  const finderA = [1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0];
+  const finderB = [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1];
+
+  for (const line of lines) {
+    // N1: runs of 5+ same-color modules
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run += 1;
+      } else {
+        if (run >= 5) score += 3 + (run - 5);
+        run = 1;
+      }
+    }
+    // N3: finder-like 1:1:3:1:1 patterns with 4 light modules on one side
+    for (let i = 0; i + 11 <= size; i++) {
+      let a = true;
+      let b = true;
+      for (let k = 0; k < 11; k++) {
+        const v = line[i + k] ? 1 : 0;
+        if (v !== finderA[k]) a = false;
+        if (v !== finderB[k]) b = false;
+      }
+      if (a) score += 40;
+      if (b) score += 40;
+    }
+  }
+
+  // N2: 2x2 blocks of one color
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark += 1;
+      if (x < size - 1 && y < size - 1) {
+        const c = modules[y][x];
+        if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+      }
+    }
+  }
+
+  // N4: dark/light balance
+  const total = size * size;
+  const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+  score += Math.max(0, k) * 10;
+  return score;
+}
+
+// -----------------------------
+// Public API
+// -----------------------------
+// -> { version, ecl, size, modules: boolean[][] }; throws RangeError if it doesn't fit one code
+export function encodeQr(text, { ecl: minEcl = 'L' } = {}) {
+  const bytes = Array.from(new TextEncoder().encode(String(text)));
+
+  let version = 0;
+  for (let v = MIN_VERSION; v <= MAX_VERSION; v++) {
+    if (byteSegmentBits(v, bytes.length) <= numDataCodewords(v, minEcl) * 8) {
+      version = v;
+      break;
+    }
+  }
+  if (!version) {
+    throw new RangeError(`Too much data for one QR code (${bytes.length} bytes, max ${maxQrBytes(minEcl)})`);
+  }
+
+  // Use the stronger level when it fits in the same size
+  let ecl = minEcl;
+  if (ecl === 'L' && byteSegmentBits(version, bytes.length) <= numDataCodewords(version, 'M') * 8) ecl = 'M';
+
+  const codewords = addEccAndInterleave(dataCodewords(bytes, version, ecl), version, ecl);
+
+  let best = null;
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    const m = createMatrix(version);
+    drawFormatBits(m, ecl, mask);
+    drawCodewords(m, codewords);
+    applyMask(m, mask);
+    const score = penaltyScore(m.modules);
+    if (!best || score < best.score) best = { score, modules: m.modules, size: m.size };
+  }
+
+  return { version, ecl, size: best.size, modules: best.modules };
+}
+
+// Draws crisp square modules with a 4-module quiet zone
+export function drawQr(canvas, qr, { pixels = 320, margin = 4 } = {}) {
+  const total = qr.size + margin * 2;
+  const scale = Math.max(1, Math.floor(pixels / total));
+  canvas.width = total * scale;
+  canvas.height = total * scale;
+
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.fillStyle = '#000000';
+  for (let y = 0; y < qr.size; y++) {
+    for (let x = 0; x < qr.size; x++) {
+      if (qr.modules[y][x]) ctx.fillRect((x + margin) * scale, (y + margin) * scale, scale, scale);
+    }
+  }
+}
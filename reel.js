@@ -0,0 +1,366 @@
+// reel.js
+// Handles: the optional "reaction reel": the front camera is recorded with MediaRecorder from
+// Start until the round ends, with each card's phrase and the got/pass result drawn over the
+// video as it happens (camera -> canvas + overlay -> captureStream -> MediaRecorder), so the
+// overlays sit at the right timestamps in the file itself. The clip is shown on the results
+// screen for playback/download and never leaves the device.
+// Off by default (setting: reelEnabled); turning it on explains what happens and asks for camera
+// permission right away, so the browser prompt doesn't pop up in the middle of a round.
+// Expects you to pass in elements + saveSettings.
+
+import { downloadFile } from './deckio.js';
+
+const MIME_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm', 'video/mp4'];
+const CAMERA = { video: { facingMode: 'user', width: { ideal: 640 }, height: { ideal: 480 } }, audio: true };
+const FPS = 24;
+const RESULT_MS = 1200; // how long "Got it!" etc. stays on the video
+
+const RESULTS = {
+  got: { text: 'Got it!', color: '#28d17c' },
+  pass: { text: 'Pass', color: '#ffd24a' },
+  buzz: { text: 'Buzz!', color: '#ff5a6b' },
+  next: { text: 'Next', color: '#b7c3e6' }
+};
+
+export function canRecordReel() {
+  return typeof MediaRecorder === 'function' && !!navigator.mediaDevices?.getUserMedia;
+}
+
+function pickMimeType() {
+  return MIME_TYPES.find((type) => MediaRecorder.isTypeSupported?.(type)) || '';
+}
+
+async function openCamera() {
+  try {
+    return await navigator.mediaDevices.getUserMedia(CAMERA);
+  } catch (err) {
+    // No microphone (or mic blocked): a silent reel is still worth having
+    if (err?.name === 'NotAllowedError') throw err;
+    return navigator.mediaDevices.getUserMedia({ video: CAMERA.video });
+  }
+}
+
+function stopTracks(stream) {
+  for (const track of stream?.getTracks() || []) track.stop();
+}
+
+export function createReelController({ elements, saveSettings }) {
+  const {
+    reelEnabledInput,
+    reelHint,
+    reelCard,
+    reelVideo,
+    reelStatus,
+    reelDownloadBtn,
+    reelDiscardBtn,
+  } = elements;
+
+  let enabled = false;
+
+  // One recording at a time; `token` tells a late getUserMedia that its round is already over.
+  // Each recording's data lives in its own session ({ keep, chunks, note }), because its
+  // recorder's stop event can arrive after the next round has already started.
+  const Rec = {
+    token: 0,
+    stream: null,
+    recordStream: null,
+    recorder: null,
+    session: null,
+    stopping: null, // session whose recorder is still finishing the file
+    paused: false,
+    video: null,
+    canvas: null,
+    frameId: null
+  };
+
+  const Overlay = { phrase: '', result: null, resultUntil: 0 };
+
+  const Clip = { url: '', blob: null, name: '' };
+
+  // -----------------------------
+  // Overlay (drawn onto every frame)
+  // -----------------------------
+  function fitFont(ctx, text, maxWidth, size) {
+    let px = size;
+    do {
+      ctx.font = `900 ${px}px system-ui, -apple-system, sans-serif`;
+      px -= 2;
+    } while (px > 12 && ctx.measureText(text).width > maxWidth);
+  }
+
+  function drawFrame() {
+    const { video, canvas } = Rec;
+    const ctx = canvas.getContext('2d');
+    const w = canvas.width;
+    const h = canvas.height;
+
+    // Mirrored like a selfie preview; the text below is drawn the right way round
+    ctx.save();
+    ctx.translate(w, 0);
+    ctx.scale(-1, 1);
+    ctx.drawImage(video, 0, 0, w, h);
+    ctx.restore();
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    if (Overlay.phrase) {
+      const band = Math.round(h * 0.18);
+      ctx.fillStyle = 'rgba(11,18,32,.72)';
+      ctx.fillRect(0, 0, w, band);
+      ctx.fillStyle = '#e9eefc';
+      fitFont(ctx, Overlay.phrase, w * 0.92, Math.round(band * 0.55));
+      ctx.fillText(Overlay.phrase, w / 2, band / 2);
+    }
+
+    const result = RESULTS[Overlay.result];
+    if (result && Date.now() < Overlay.resultUntil) {
+      const y = h - Math.round(h * 0.14);
+      ctx.font = `900 ${Math.round(h * 0.1)}px system-ui, -apple-system, sans-serif`;
+      const pad = h * 0.04;
+      const tw = ctx.measureText(result.text).width + pad * 2;
+      ctx.fillStyle = 'rgba(11,18,32,.72)';
+      ctx.fillRect((w - tw) / 2, y - h * 0.08, tw, h * 0.16);
+      ctx.fillStyle = result.color;
+      ctx.fillText(result.text, w / 2, y);
+    }
+
+    Rec.frameId = requestAnimationFrame(drawFrame);
+  }
+
+  function showPhrase(text) {
+    Overlay.phrase = String(text || '');
+  }
+
+  function showResult(action) {
+    Overlay.result = action;
+    Overlay.resultUntil = Date.now() + RESULT_MS;
+  }
+
+  // -----------------------------
+  // Recording
+  // -----------------------------
+  // Called from the Start (or Resume saved round) tap. Resolves once recording runs (or quietly doesn't).
+  // `note` goes on the results card with the clip.
+  async function start({ note = '' } = {}) {
+    cancel();
+    // A clip still being finished belongs to the previous round, which is gone now
+    if (Rec.stopping) Rec.stopping.keep = false;
+    clearClip();
+    Overlay.phrase = '';
+    Overlay.result = null;
+    Rec.paused = false;
+    if (!enabled || !canRecordReel()) return;
+
+    const token = ++Rec.token;
+    let stream;
+    try {
+      stream = await openCamera();
+    } catch (err) {
+      if (token !== Rec.token) return;
+      showStatus(err?.name === 'NotAllowedError'
+        ? 'No reaction reel: camera permission was denied. Allow the camera in the browser settings, or turn the reel off in Options.'
+        : 'No reaction reel: the camera couldn’t be started.');
+      return;
+    }
+    // Round ended or was called off while the permission prompt was up
+    if (token !== Rec.token) {
+      stopTracks(stream);
+      return;
+    }
+
+    Rec.stream = stream;
+
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.srcObject = stream;
+    Rec.video = video;
+
+    let recordStream = stream;
+    const canvas = document.createElement('canvas');
+    if (typeof canvas.captureStream === 'function') {
+      try {
+        await video.play();
+        // Called off while the camera was warming up (release() has stopped it already)
+        if (token !== Rec.token) return;
+        canvas.width = video.videoWidth || 640;
+        canvas.height = video.videoHeight || 480;
+        Rec.canvas = canvas;
+        drawFrame();
+        // Canvas video + the microphone
+        recordStream = new MediaStream([...canvas.captureStream(FPS).getVideoTracks(), ...stream.getAudioTracks()]);
+      } catch {
+        // fall back to the bare camera (no overlays)
+        Rec.canvas = null;
+      }
+    }
+    Rec.recordStream = recordStream;
+
+    const mimeType = pickMimeType();
+    try {
+      Rec.recorder = new MediaRecorder(recordStream, mimeType ? { mimeType } : undefined);
+    } catch {
+      release();
+      showStatus('No reaction reel: this browser can’t record video.');
+      return;
+    }
+    const recorder = Rec.recorder;
+    const session = { keep: false, chunks: [], note };
+    recorder.addEventListener('dataavailable', (e) => {
+      if (e.data?.size) session.chunks.push(e.data);
+    });
+    recorder.addEventListener('stop', () => {
+      if (Rec.stopping === session) Rec.stopping = null;
+      if (session.keep) makeClip(session.chunks, recorder.mimeType || mimeType, session.note);
+    });
+    Rec.session = session;
+    recorder.start(1000);
+    // The round was paused while the camera started (a restored round starts paused)
+    if (Rec.paused) recorder.pause();
+  }
+
+  function pause() {
+    Rec.paused = true;
+    if (Rec.recorder?.state === 'recording') Rec.recorder.pause();
+  }
+
+  function resume() {
+    Rec.paused = false;
+    if (Rec.recorder?.state === 'paused') Rec.recorder.resume();
+  }
+
+  // Round over: finish the file and show it on the results screen
+  function stop() {
+    Rec.token += 1;
+    if (Rec.recorder && Rec.recorder.state !== 'inactive') {
+      Rec.session.keep = true;
+      Rec.stopping = Rec.session;
+      showStatus('Saving the reaction reel…');
+      Rec.recorder.stop();
+    }
+    release();
+  }
+
+  // Round called off: drop whatever was recorded (its session is never kept)
+  function cancel() {
+    Rec.token += 1;
+    if (Rec.recorder && Rec.recorder.state !== 'inactive') Rec.recorder.stop();
+    release();
+  }
+
+  function release() {
+    if (Rec.frameId) cancelAnimationFrame(Rec.frameId);
+    Rec.frameId = null;
+    stopTracks(Rec.recordStream);
+    stopTracks(Rec.stream);
+    Rec.stream = null;
+    Rec.recordStream = null;
+    Rec.recorder = null;
+    Rec.session = null;
+    Rec.canvas = null;
+    if (Rec.video) Rec.video.srcObject = null;
+    Rec.video = null;
+  }
+
+  // -----------------------------
+  // Results card (playback + download)
+  // -----------------------------
+  function showStatus(text) {
+    reelCard.hidden = false;
+    reelStatus.textContent = text;
+    reelVideo.hidden = !Clip.url;
+    reelDownloadBtn.hidden = !Clip.url;
+    reelDiscardBtn.hidden = !Clip.url;
+  }
+
+  function makeClip(chunks, mimeType, note) {
+    if (chunks.length === 0) {
+      showStatus('No reaction reel: nothing was recorded.');
+      return;
+    }
+    const type = (mimeType || 'video/webm').split(';')[0];
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '').replace('T', '-');
+    Clip.blob = new Blob(chunks, { type });
+    Clip.url = URL.createObjectURL(Clip.blob);
+    Clip.name = `reaction-reel-${stamp}.${type === 'video/mp4' ? 'mp4' : 'webm'}`;
+    reelVideo.src = Clip.url;
+    showStatus(`${note ? `${note} ` : ''}Only on this device until you download it.`);
+  }
+
+  function clearClip() {
+    if (Clip.url) URL.revokeObjectURL(Clip.url);
+    Clip.url = '';
+    Clip.blob = null;
+    reelVideo.removeAttribute('src');
+    reelVideo.load?.();
+    reelCard.hidden = true;
+  }
+
+  function downloadClip() {
+    if (Clip.blob) downloadFile(Clip.name, Clip.blob, Clip.blob.type);
+  }
+
+  function discardClip() {
+    if (!confirm('Delete this reaction reel? It can’t be recovered.')) return;
+    clearClip();
+  }
+
+  // -----------------------------
+  // Options toggle + permission
+  // -----------------------------
+  async function onEnabledChange() {
+    if (!reelEnabledInput.checked) {
+      enabled = false;
+      saveSettings({ reelEnabled: false });
+      return;
+    }
+
+    const ok = confirm(
+      'Record a reaction reel?\n\n' +
+      'The front camera and microphone record whoever faces the screen during each round. With the phone on ' +
+      'someone’s forehead, that is everyone giving clues, not the guesser. The phrases and results are shown ' +
+      'on the video. The clip stays on this device: you can watch or download it on the results screen, ' +
+      'and it is gone when the next round starts.\n\nThe browser will now ask for camera access.'
+    );
+    if (!ok) {
+      reelEnabledInput.checked = false;
+      return;
+    }
+    try {
+      stopTracks(await openCamera());
+    } catch {
+      reelEnabledInput.checked = false;
+      alert('Camera access was not allowed, so the reaction reel stays off.');
+      return;
+    }
+    enabled = true;
+    saveSettings({ reelEnabled: true });
+  }
+
+  // Wire everything once
+  function initReel(settings) {
+    if (!canRecordReel()) {
+      reelEnabledInput.checked = false;
+      reelEnabledInput.disabled = true;
+      reelHint.textContent = 'This browser can’t record video.';
+    } else {
+      enabled = settings?.reelEnabled === true;
+      reelEnabledInput.checked = enabled;
+    }
+    reelEnabledInput.addEventListener('change', onEnabledChange);
+    reelDownloadBtn.addEventListener('click', downloadClip);
+    reelDiscardBtn.addEventListener('click', discardClip);
+  }
+
+  return {
+    initReel,
+    start,
+    showPhrase,
+    showResult,
+    pause,
+    resume,
+    stop,
+    cancel,
+  };
+}
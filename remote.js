@@ -0,0 +1,518 @@
+// remote.js
+// Handles: "remote reveal": pairing a second device over a WebRTC data channel and mirroring
+// the round onto it. The device that starts a round owns it (deck, timer, rules); the other one
+// follows on the Remote screen with the same card, its hint and forbidden words, and can send
+// got / pass / buzz / pause / end back into the owner's action stream.
+// Pairing needs no server: one device creates an invite (offer), the other turns it into a
+// reply (answer), and each code goes across by copy/paste or QR. The invite QR is a #pair=...
+// link, so a phone camera can open it straight in the app; the reply is scanned in-app where
+// BarcodeDetector exists, otherwise pasted. No STUN/TURN either, so both devices need to be on
+// the same network.
+// Expects you to pass in elements + callbacks (onView/onAction/onConnect/onDisconnect/onLeave).
+
+import { toBase64Url, fromBase64Url, pipeBytes, QR_MAX_BYTES } from './share.js';
+import { encodeQr, drawQr } from './qr.js';
+
+const HASH_KEY = 'pair';
+const SIGNAL_VERSION = 1;
+const CHANNEL_LABEL = 'gtp-remote';
+const ICE_GATHER_MS = 4000; // codes carry all candidates (no trickle), so wait for them
+const SCAN_INTERVAL_MS = 300;
+
+// Actions the following device may send; the owner's phase still filters them (movement.js)
+const REMOTE_ACTIONS = ['got', 'pass', 'buzz', 'pause', 'end'];
+
+const STATUS = {
+  idle: 'Not connected. Create an invite here, then open it on the other device.',
+  inviting: 'Invite ready. Scan it with the other device’s camera (or paste the code there), then enter its reply below.',
+  answering: 'Reply ready. Scan it from the first device, or copy it over and paste it there.',
+  connecting: 'Connecting…',
+  connected: 'Connected. Start a round on either device and the other one follows it.',
+  closed: 'Disconnected. Create a new invite to pair again.'
+};
+
+// -----------------------------
+// Signal codes (offer/answer SDP)
+// -----------------------------
+// Same shape as deck links (share.js): "z..." = deflate-raw, "j..." = plain JSON
+async function packSignal(kind, sdp) {
+  const raw = new TextEncoder().encode(JSON.stringify({ v: SIGNAL_VERSION, k: kind, sdp }));
+  if (typeof CompressionStream !== 'undefined') {
+    try {
+      return `z${toBase64Url(await pipeBytes(raw, new CompressionStream('deflate-raw')))}`;
+    } catch {
+      // fall through to uncompressed
+    }
+  }
+  return `j${toBase64Url(raw)}`;
+}
+
+// -> { kind: 'offer' | 'answer', sdp }; throws Error with a user-facing message
+async function unpackSignal(code) {
+  const kind = code.charAt(0);
+  if (kind !== 'z' && kind !== 'j') throw new Error('this is not a pairing code');
+  if (kind === 'z' && typeof DecompressionStream === 'undefined') {
+    throw new Error('this browser cannot read compressed pairing codes');
+  }
+
+  let bytes;
+  try {
+    bytes = fromBase64Url(code.slice(1));
+    if (kind === 'z') bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+  } catch {
+    throw new Error('the code is damaged or incomplete');
+  }
+
+  let data;
+  try {
+    data = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw new Error('the code is damaged or incomplete');
+  }
+  if (!data || typeof data.sdp !== 'string' || !['offer', 'answer'].includes(data.k)) {
+    throw new Error('this is not a pairing code');
+  }
+  if (typeof data.v === 'number' && data.v > SIGNAL_VERSION) {
+    throw new Error('the other device runs a newer version of the app');
+  }
+  return { kind: data.k, sdp: data.sdp };
+}
+
+// Accepts a bare code or a whole #pair=... link
+function codeFrom(text) {
+  const value = String(text || '').trim();
+  const match = value.match(/[#&?]pair=([\w-]+)/);
+  return match ? match[1] : value.replace(/\s+/g, '');
+}
+
+export function canPair() {
+  return typeof RTCPeerConnection === 'function';
+}
+
+export function createRemoteController({
+  elements,
+  onView,
+  onAction,
+  onConnect,
+  onDisconnect,
+  onLeave,
+}) {
+  const {
+    pairBtn,
+    pairDialog,
+    pairStatus,
+    pairInviteBtn,
+    pairDisconnectBtn,
+    pairCodeOut,
+    pairCanvas,
+    pairCodeInput,
+    pairCopyBtn,
+    pairReplyInput,
+    pairVideo,
+    pairConnectBtn,
+    pairScanBtn,
+    pairCloseBtn,
+    remoteTime,
+    remoteProgress,
+    remoteScore,
+    remoteStatus,
+    remoteStyle,
+    remotePhrase,
+    remoteHint,
+    remoteForbidden,
+    remoteGotBtn,
+    remotePassBtn,
+    remoteBuzzBtn,
+    remotePauseBtn,
+    remoteEndBtn,
+    remoteLeaveBtn,
+  } = elements;
+
+  const Peer = {
+    pc: null,
+    channel: null,
+    status: 'idle'
+  };
+
+  const Scan = { stream: null, timerId: null };
+
+  // -----------------------------
+  // Connection
+  // -----------------------------
+  function isConnected() {
+    return Peer.channel?.readyState === 'open';
+  }
+
+  function setStatus(status, detail = '') {
+    Peer.status = status;
+    pairStatus.textContent = detail || STATUS[status];
+    const connected = status === 'connected';
+    pairDisconnectBtn.hidden = !(connected || status === 'connecting');
+    pairBtn.textContent = connected ? 'Paired ✓' : 'Pair device';
+  }
+
+  function closePeer() {
+    const channel = Peer.channel;
+    const pc = Peer.pc;
+    Peer.channel = null;
+    Peer.pc = null;
+    try {
+      channel?.close();
+      pc?.close();
+    } catch {
+      // ignore
+    }
+  }
+
+  function newPeer() {
+    closePeer();
+    // No ICE servers: host candidates only, i.e. same Wi-Fi / hotspot, and no network needed
+    const pc = new RTCPeerConnection({ iceServers: [] });
+    pc.addEventListener('datachannel', (e) => attachChannel(e.channel));
+    pc.addEventListener('connectionstatechange', () => {
+      if (pc !== Peer.pc) return;
+      if (pc.connectionState === 'failed') {
+        closePeer();
+        setStatus('closed', 'Could not connect. Are both devices on the same Wi-Fi? Create a new invite to try again.');
+        onDisconnect?.();
+      }
+    });
+    Peer.pc = pc;
+    return pc;
+  }
+
+  function attachChannel(channel) {
+    Peer.channel = channel;
+    channel.addEventListener('open', () => {
+      if (channel !== Peer.channel) return;
+      setStatus('connected');
+      hideCode();
+      onConnect?.();
+    });
+    channel.addEventListener('close', () => {
+      if (channel !== Peer.channel) return;
+      closePeer();
+      setStatus('closed');
+      onDisconnect?.();
+    });
+    channel.addEventListener('message', (e) => {
+      let msg;
+      try {
+        msg = JSON.parse(e.data);
+      } catch {
+        return;
+      }
+      handleMessage(msg);
+    });
+  }
+
+  // Resolves once every ICE candidate is in the local description (or after ICE_GATHER_MS)
+  function waitForIce(pc) {
+    if (pc.iceGatheringState === 'complete') return Promise.resolve();
+    return new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timerId);
+        pc.removeEventListener('icegatheringstatechange', onChange);
+        resolve();
+      };
+      const onChange = () => {
+        if (pc.iceGatheringState === 'complete') done();
+      };
+      const timerId = setTimeout(done, ICE_GATHER_MS);
+      pc.addEventListener('icegatheringstatechange', onChange);
+    });
+  }
+
+  async function createInvite() {
+    pairInviteBtn.disabled = true;
+    try {
+      const pc = newPeer();
+      attachChannel(pc.createDataChannel(CHANNEL_LABEL, { ordered: true }));
+      await pc.setLocalDescription(await pc.createOffer());
+      await waitForIce(pc);
+      const code = await packSignal('offer', pc.localDescription.sdp);
+      showCode(linkFor(code), code);
+      setStatus('inviting');
+    } catch {
+      closePeer();
+      setStatus('idle', 'This browser could not create an invite.');
+    } finally {
+      pairInviteBtn.disabled = false;
+    }
+  }
+
+  // An invite gets answered with a reply code; a reply completes our own invite
+  async function acceptCode(text) {
+    const code = codeFrom(text);
+    if (!code) return;
+    try {
+      const { kind, sdp } = await unpackSignal(code);
+      if (kind === 'offer') {
+        const pc = newPeer();
+        await pc.setRemoteDescription({ type: 'offer', sdp });
+        await pc.setLocalDescription(await pc.createAnswer());
+        await waitForIce(pc);
+        showCode('', await packSignal('answer', pc.localDescription.sdp));
+        setStatus('answering');
+      } else {
+        if (Peer.pc?.signalingState !== 'have-local-offer') {
+          throw new Error('that’s a reply code; create an invite on this device first');
+        }
+        await Peer.pc.setRemoteDescription({ type: 'answer', sdp });
+        setStatus('connecting');
+      }
+      pairReplyInput.value = '';
+    } catch (err) {
+      setStatus(Peer.status, `That code didn’t work: ${err.message || 'the devices could not agree on a connection'}.`);
+    }
+  }
+
+  function disconnect() {
+    const wasConnected = isConnected();
+    closePeer();
+    hideCode();
+    setStatus('idle');
+    if (wasConnected) onDisconnect?.();
+  }
+
+  // -----------------------------
+  // Messages
+  // -----------------------------
+  function send(msg) {
+    if (!isConnected()) return;
+    try {
+      Peer.channel.send(JSON.stringify(msg));
+    } catch {
+      // ignore (the close event tidies up)
+    }
+  }
+
+  // Owner -> follower: the round as it should be drawn (see roundView in app.js)
+  function sendView(view) {
+    send({ t: 'view', view });
+  }
+
+  function sendAction(action) {
+    send({ t: 'action', action });
+  }
+
+  function handleMessage(msg) {
+    if (msg?.t === 'view' && msg.view && typeof msg.view === 'object') {
+      if (onView(msg.view)) renderView(msg.view);
+    } else if (msg?.t === 'action' && REMOTE_ACTIONS.includes(msg.action)) {
+      onAction(msg.action);
+    }
+  }
+
+  // -----------------------------
+  // Remote screen (following the other device's round)
+  // -----------------------------
+  function statusText(view) {
+    if (view.phase === 'countdown') return view.countdown ? `Starting in ${view.countdown}…` : 'Waiting for the guesser…';
+    if (view.phase === 'paused') return 'Paused';
+    if (view.phase === 'finished') {
+      return `${view.reason || 'Round over'} · ${view.got} got it, ${view.pass} pass${view.pass === 1 ? '' : 'es'}`;
+    }
+    return view.feedback || (view.team ? `${view.team} playing` : 'Playing');
+  }
+
+  function renderView(view) {
+    const playing = view.phase === 'running';
+    remoteTime.textContent = typeof view.timeLeft === 'number' ? String(view.timeLeft) : '—';
+    remoteProgress.textContent = `${view.shown} / ${view.total}`;
+    remoteScore.textContent = String(view.score);
+    remoteStatus.textContent = statusText(view);
+
+    remoteStyle.textContent = view.style || '';
+    remoteStyle.hidden = !view.style;
+    remotePhrase.textContent = view.phase === 'countdown' ? '' : view.phrase || '';
+    remoteHint.textContent = view.hint || '';
+    remoteHint.hidden = !view.hint || view.phase === 'countdown';
+
+    remoteForbidden.textContent = '';
+    const words = view.phase === 'countdown' ? [] : view.forbidden || [];
+    remoteForbidden.hidden = words.length === 0;
+    for (const word of words) {
+      const li = document.createElement('li');
+      li.textContent = word;
+      remoteForbidden.appendChild(li);
+    }
+
+    remoteGotBtn.disabled = !playing;
+    remotePassBtn.disabled = !playing;
+    remoteBuzzBtn.hidden = !view.buzz;
+    remoteBuzzBtn.disabled = !playing;
+    remotePauseBtn.textContent = view.phase === 'paused' ? 'Resume' : 'Pause';
+    remotePauseBtn.disabled = !(playing || view.phase === 'paused');
+    remoteEndBtn.disabled = !['countdown', 'running', 'paused'].includes(view.phase);
+  }
+
+  // -----------------------------
+  // Pair dialog (codes, QR, scanning)
+  // -----------------------------
+  function linkFor(code) {
+    const url = new URL(window.location.href);
+    url.hash = `${HASH_KEY}=${code}`;
+    return url.toString();
+  }
+
+  // qrText: what the QR holds (the invite link); '' = the code itself
+  function showCode(qrText, code) {
+    pairCodeInput.value = code;
+    pairCodeOut.hidden = false;
+    pairCanvas.hidden = true;
+    const text = qrText || code;
+    if (new TextEncoder().encode(text).length > QR_MAX_BYTES) return;
+    try {
+      drawQr(pairCanvas, encodeQr(text), { pixels: 360 });
+      pairCanvas.hidden = false;
+    } catch {
+      // the code can still be copied
+    }
+  }
+
+  function hideCode() {
+    pairCodeOut.hidden = true;
+    pairCodeInput.value = '';
+  }
+
+  function openDialog() {
+    setStatus(Peer.status);
+    pairScanBtn.hidden = !canScan();
+    if (typeof pairDialog.showModal === 'function') {
+      if (!pairDialog.open) pairDialog.showModal();
+    } else {
+      pairDialog.setAttribute('open', '');
+    }
+  }
+
+  function closeDialog() {
+    stopScan();
+    if (typeof pairDialog.close === 'function') pairDialog.close();
+    else pairDialog.removeAttribute('open');
+  }
+
+  async function copyCode() {
+    const code = pairCodeInput.value;
+    if (!code) return;
+    try {
+      await navigator.clipboard.writeText(code);
+      pairCopyBtn.textContent = 'Copied!';
+    } catch {
+      pairCodeInput.select();
+      pairCopyBtn.textContent = document.execCommand?.('copy') ? 'Copied!' : 'Select + copy';
+    }
+    setTimeout(() => {
+      pairCopyBtn.textContent = 'Copy code';
+    }, 1500);
+  }
+
+  function canScan() {
+    return typeof window.BarcodeDetector === 'function' && !!navigator.mediaDevices?.getUserMedia;
+  }
+
+  async function startScan() {
+    if (Scan.stream) {
+      stopScan();
+      return;
+    }
+    let detector;
+    try {
+      detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+      Scan.stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+    } catch {
+      stopScan();
+      setStatus(Peer.status, 'Could not open the camera. Paste the code instead.');
+      return;
+    }
+    pairVideo.srcObject = Scan.stream;
+    pairVideo.hidden = false;
+    pairScanBtn.textContent = 'Stop scanning';
+    pairVideo.play().catch(() => {});
+
+    const tick = async () => {
+      Scan.timerId = null;
+      if (!Scan.stream) return;
+      try {
+        const [found] = await detector.detect(pairVideo);
+        if (found?.rawValue) {
+          stopScan();
+          acceptCode(found.rawValue);
+          return;
+        }
+      } catch {
+        // video not ready yet
+      }
+      if (Scan.stream) Scan.timerId = setTimeout(tick, SCAN_INTERVAL_MS);
+    };
+    tick();
+  }
+
+  function stopScan() {
+    if (Scan.timerId) {
+      clearTimeout(Scan.timerId);
+      Scan.timerId = null;
+    }
+    for (const track of Scan.stream?.getTracks() || []) track.stop();
+    Scan.stream = null;
+    pairVideo.srcObject = null;
+    pairVideo.hidden = true;
+    pairScanBtn.textContent = 'Scan QR';
+  }
+
+  // -----------------------------
+  // Incoming (#pair=...)
+  // -----------------------------
+  function clearHash() {
+    try {
+      history.replaceState(null, '', window.location.pathname + window.location.search);
+    } catch {
+      window.location.hash = '';
+    }
+  }
+
+  // Opened from an invite QR / link: answer it and show the reply to send back
+  async function checkIncomingPair() {
+    const hash = window.location.hash.replace(/^#/, '');
+    if (!hash) return;
+    const code = new URLSearchParams(hash).get(HASH_KEY);
+    if (!code) return;
+    clearHash();
+    if (!canPair()) {
+      alert('This browser can’t pair devices (no WebRTC).');
+      return;
+    }
+    openDialog();
+    await acceptCode(code);
+  }
+
+  // Wire everything once
+  function initRemote() {
+    pairBtn.hidden = !canPair();
+    setStatus('idle');
+    pairBtn.addEventListener('click', openDialog);
+    pairCloseBtn.addEventListener('click', closeDialog);
+    pairDialog.addEventListener('close', stopScan);
+    pairInviteBtn.addEventListener('click', createInvite);
+    pairDisconnectBtn.addEventListener('click', disconnect);
+    pairCopyBtn.addEventListener('click', copyCode);
+    pairConnectBtn.addEventListener('click', () => acceptCode(pairReplyInput.value));
+    pairScanBtn.addEventListener('click', startScan);
+    window.addEventListener('hashchange', checkIncomingPair);
+
+    remoteGotBtn.addEventListener('click', () => sendAction('got'));
+    remotePassBtn.addEventListener('click', () => sendAction('pass'));
+    remoteBuzzBtn.addEventListener('click', () => sendAction('buzz'));
+    remotePauseBtn.addEventListener('click', () => sendAction('pause'));
+    remoteEndBtn.addEventListener('click', () => sendAction('end'));
+    remoteLeaveBtn.addEventListener('click', () => onLeave?.());
+  }
+
+  return {
+    initRemote,
+    isConnected,
+    sendView,
+    checkIncomingPair,
+    disconnect,
+  };
+}
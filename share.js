@@ -0,0 +1,238 @@
+// share.js
+// Handles: sharing a deck as a link (#deck=...) + an on-screen QR code, and offering to
+// import a shared link when the app opens.
+// Payload: JSON { v, n: name, t: deck text }, deflate-raw compressed where the browser can,
+// base64url encoded. Everything happens in-app, so sharing works offline too.
+// Expects you to pass in elements + deck callbacks (getSelectedDeck/importDecks/etc).
+
+import { parsePhrases } from './phrases.js';
+import { cardsToDeckText } from './deckio.js';
+import { encodeQr, drawQr } from './qr.js';
+
+const HASH_KEY = 'deck';
+const PAYLOAD_VERSION = 1;
+// A single code can hold ~2.9 KB, but phone cameras struggle to read codes that dense
+// off another screen, so stop well before that.
+export const QR_MAX_BYTES = 1800;
+const LINK_MAX_LENGTH = 32000;
+
+// -----------------------------
+// Payload encoding (the base64url/stream helpers are shared with remote.js pairing codes)
+// -----------------------------
+export function toBase64Url(bytes) {
+  let bin = '';
+  for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function fromBase64Url(str) {
+  const b64 = str.replace(/-/g, '+').replace(/_/g, '/');
+  const bin = atob(b64 + '='.repeat((4 - (b64.length % 4)) % 4));
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+export async function pipeBytes(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// "z..." = deflate-raw, "j..." = plain JSON (older browsers without CompressionStream)
+export async function encodeDeckPayload({ name, text }) {
+  const raw = new TextEncoder().encode(JSON.stringify({ v: PAYLOAD_VERSION, n: name, t: text }));
+  if (typeof CompressionStream !== 'undefined') {
+    try {
+      return `z${toBase64Url(await pipeBytes(raw, new CompressionStream('deflate-raw')))}`;
+    } catch {
+      // fall through to uncompressed
+    }
+  }
+  return `j${toBase64Url(raw)}`;
+}
+
+// -> { name, text, count }; throws Error with a user-facing message
+export async function decodeDeckPayload(payload) {
+  const kind = payload.charAt(0);
+  let bytes;
+  try {
+    bytes = fromBase64Url(payload.slice(1));
+  } catch {
+    throw new Error('the link is damaged or incomplete');
+  }
+
+  if (kind === 'z') {
+    if (typeof DecompressionStream === 'undefined') {
+      throw new Error('this browser cannot open compressed deck links');
+    }
+    try {
+      bytes = await pipeBytes(bytes, new DecompressionStream('deflate-raw'));
+    } catch {
+      throw new Error('the link is damaged or incomplete');
+    }
+  } else if (kind !== 'j') {
+    throw new Error('this is not a deck link');
+  }
+
+  let data;
+  try {
+    data = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw new Error('the link is damaged or incomplete');
+  }
+  if (!data || typeof data.t !== 'string') throw new Error('the link does not contain a deck');
+  if (typeof data.v === 'number' && data.v > PAYLOAD_VERSION) {
+    throw new Error('the deck was shared from a newer version of the app');
+  }
+
+  const cards = parsePhrases(data.t);
+  if (cards.length === 0) throw new Error('the shared deck has no phrases');
+  const name = (typeof data.n === 'string' && data.n.trim()) || 'Shared deck';
+  return { name, text: cardsToDeckText(cards), count: cards.length };
+}
+
+export function createShareController({
+  elements,
+  getSelectedDeck,
+  importDecks,
+  onImported,
+}) {
+  const {
+    shareDeckBtn,
+    shareDialog,
+    shareTitle,
+    shareCanvas,
+    shareMessage,
+    shareLinkInput,
+    shareCopyBtn,
+    shareNativeBtn,
+    shareCloseBtn,
+  } = elements;
+
+  // -----------------------------
+  // Outgoing
+  // -----------------------------
+  function linkFor(payload) {
+    const url = new URL(window.location.href);
+    url.hash = `${HASH_KEY}=${payload}`;
+    return url.toString();
+  }
+
+  function showMessage(text) {
+    shareMessage.textContent = text;
+    shareMessage.hidden = !text;
+  }
+
+  async function openShare() {
+    const deck = getSelectedDeck();
+    const cards = deck ? parsePhrases(deck.text) : [];
+    if (cards.length === 0) {
+      alert('Add some phrases to this deck before sharing it.');
+      return;
+    }
+
+    const payload = await encodeDeckPayload({ name: deck.name, text: cardsToDeckText(cards) });
+    const link = linkFor(payload);
+
+    shareTitle.textContent = `Share “${deck.name}” (${cards.length} phrase${cards.length === 1 ? '' : 's'})`;
+    shareLinkInput.value = link;
+    shareNativeBtn.hidden = typeof navigator.share !== 'function';
+    shareCanvas.hidden = true;
+    showMessage('');
+
+    const bytes = new TextEncoder().encode(link).length;
+    if (link.length > LINK_MAX_LENGTH) {
+      shareLinkInput.value = '';
+      showMessage('This deck is too big to share as a link or QR code. Use “Export” on the Decks screen to send it as a file.');
+    } else if (bytes > QR_MAX_BYTES) {
+      showMessage(
+        `This deck is too big for one QR code (${bytes} of ${QR_MAX_BYTES} characters). ` +
+        'Send the link instead, or split the deck into smaller ones.'
+      );
+    } else {
+      try {
+        drawQr(shareCanvas, encodeQr(link), { pixels: 360 });
+        shareCanvas.hidden = false;
+      } catch {
+        showMessage('Could not draw a QR code for this deck. Send the link instead.');
+      }
+    }
+
+    if (typeof shareDialog.showModal === 'function') shareDialog.showModal();
+    else shareDialog.setAttribute('open', '');
+  }
+
+  function closeShare() {
+    if (typeof shareDialog.close === 'function') shareDialog.close();
+    else shareDialog.removeAttribute('open');
+  }
+
+  async function copyLink() {
+    const link = shareLinkInput.value;
+    if (!link) return;
+    try {
+      await navigator.clipboard.writeText(link);
+      shareCopyBtn.textContent = 'Copied!';
+    } catch {
+      shareLinkInput.select();
+      shareCopyBtn.textContent = document.execCommand?.('copy') ? 'Copied!' : 'Select + copy';
+    }
+    setTimeout(() => {
+      shareCopyBtn.textContent = 'Copy link';
+    }, 1500);
+  }
+
+  async function nativeShare() {
+    try {
+      await navigator.share({ title: shareTitle.textContent, url: shareLinkInput.value });
+    } catch {
+      // user cancelled
+    }
+  }
+
+  // -----------------------------
+  // Incoming (#deck=...)
+  // -----------------------------
+  function clearHash() {
+    try {
+      history.replaceState(null, '', window.location.pathname + window.location.search);
+    } catch {
+      window.location.hash = '';
+    }
+  }
+
+  async function checkIncomingLink() {
+    const hash = window.location.hash.replace(/^#/, '');
+    if (!hash) return;
+    const payload = new URLSearchParams(hash).get(HASH_KEY);
+    if (!payload) return;
+
+    try {
+      const deck = await decodeDeckPayload(payload);
+      const ok = confirm(`Import the shared deck “${deck.name}” (${deck.count} phrase${deck.count === 1 ? '' : 's'})?`);
+      if (ok) {
+        importDecks([deck]);
+        onImported?.();
+      }
+    } catch (err) {
+      alert(`That share link could not be opened: ${err.message}.`);
+    } finally {
+      clearHash();
+    }
+  }
+
+  // Wire everything once
+  function initShare() {
+    shareDeckBtn.addEventListener('click', openShare);
+    shareCloseBtn.addEventListener('click', closeShare);
+    shareCopyBtn.addEventListener('click', copyLink);
+    shareNativeBtn.addEventListener('click', nativeShare);
+    window.addEventListener('hashchange', checkIncomingLink);
+  }
+
+  return {
+    initShare,
+    openShare,
+    checkIncomingLink,
+  };
+}
@@ -0,0 +1,177 @@
+// sound.js
+// Handles: sound effects synthesized with the Web Audio API (no audio files): got, pass, Taboo
+// buzz, the pre-round countdown, ticks in the last seconds and the round-end buzzer; plus the volume
+// slider and mute toggle (saved in settings as soundVolume 0..1 / soundMuted).
+// iOS keeps audio locked until a tap starts it, so call unlock() from the Start button's handler.
+// Expects you to pass in elements + saveSettings.
+
+const DEFAULT_VOLUME = 0.7;
+
+// Each effect is a few notes: { type, freq, to (glide to), at (s), dur (s), gain (0..1) }
+const EFFECTS = {
+  got: [
+    { type: 'sine', freq: 660, at: 0, dur: 0.09 },
+    { type: 'sine', freq: 990, at: 0.08, dur: 0.16 }
+  ],
+  pass: [
+    { type: 'triangle', freq: 360, to: 220, at: 0, dur: 0.24 }
+  ],
+  buzz: [
+    { type: 'sawtooth', freq: 220, at: 0, dur: 0.12, gain: 0.7 },
+    { type: 'sawtooth', freq: 220, at: 0.16, dur: 0.2, gain: 0.7 }
+  ],
+  countdown: [
+    { type: 'sine', freq: 440, at: 0, dur: 0.15 }
+  ],
+  go: [
+    { type: 'sine', freq: 880, at: 0, dur: 0.4 }
+  ],
+  tick: [
+    { type: 'square', freq: 1200, at: 0, dur: 0.04, gain: 0.35 }
+  ],
+  buzzer: [
+    { type: 'sawtooth', freq: 150, at: 0, dur: 0.9, gain: 0.8 },
+    { type: 'square', freq: 156, at: 0, dur: 0.9, gain: 0.5 }
+  ]
+};
+
+export const SOUND_EFFECTS = Object.keys(EFFECTS);
+
+function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+
+export function createSoundController({ elements, saveSettings }) {
+  const {
+    soundVolumeInput,
+    soundMutedInput,
+    soundTestBtn,
+  } = elements;
+
+  const Sound = {
+    ctx: null,
+    master: null, // gain node every effect goes through (volume / mute)
+    volume: DEFAULT_VOLUME,
+    muted: false
+  };
+
+  // -----------------------------
+  // Audio context
+  // -----------------------------
+  function applyVolume() {
+    if (Sound.master) Sound.master.gain.value = Sound.muted ? 0 : Sound.volume;
+  }
+
+  // Must run inside a user gesture. Creates/resumes the context and plays one silent sample,
+  // which is what older iOS Safari needs before it lets later (timer-driven) sounds through.
+  function unlock() {
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    if (!Ctx) return;
+    try {
+      if (!Sound.ctx) {
+        Sound.ctx = new Ctx();
+        Sound.master = Sound.ctx.createGain();
+        Sound.master.connect(Sound.ctx.destination);
+        applyVolume();
+      }
+      // 'suspended' before the first tap, 'interrupted' on iOS after a call
+      if (Sound.ctx.state !== 'running') Sound.ctx.resume().catch(() => {});
+
+      const silent = Sound.ctx.createBufferSource();
+      silent.buffer = Sound.ctx.createBuffer(1, 1, 22050);
+      silent.connect(Sound.master);
+      silent.start(0);
+    } catch {
+      Sound.ctx = null;
+      Sound.master = null;
+    }
+  }
+
+  // -----------------------------
+  // Effects
+  // -----------------------------
+  function playNote({ type = 'sine', freq, to, at = 0, dur, gain = 1 }, t0) {
+    const start = t0 + at;
+    const end = start + dur;
+    const osc = Sound.ctx.createOscillator();
+    const env = Sound.ctx.createGain();
+
+    osc.type = type;
+    osc.frequency.setValueAtTime(freq, start);
+    if (to) osc.frequency.exponentialRampToValueAtTime(to, end);
+
+    // Short attack/release so notes don't click
+    env.gain.setValueAtTime(0.0001, start);
+    env.gain.exponentialRampToValueAtTime(0.4 * gain, start + 0.01);
+    env.gain.exponentialRampToValueAtTime(0.0001, end);
+
+    osc.connect(env).connect(Sound.master);
+    osc.start(start);
+    osc.stop(end + 0.02);
+  }
+
+  // Does nothing until unlock() has run, while muted or at zero volume
+  function play(name) {
+    const notes = EFFECTS[name];
+    if (!notes || !Sound.ctx || Sound.muted || Sound.volume <= 0) return;
+    try {
+      const t0 = Sound.ctx.currentTime + 0.01;
+      for (const note of notes) playNote(note, t0);
+    } catch {
+      // ignore
+    }
+  }
+
+  // -----------------------------
+  // Options (volume + mute)
+  // -----------------------------
+  function renderControls() {
+    soundVolumeInput.value = String(Math.round(Sound.volume * 100));
+    soundMutedInput.checked = Sound.muted;
+    soundVolumeInput.disabled = Sound.muted;
+  }
+
+  function onVolumeInput() {
+    Sound.volume = clamp(Number(soundVolumeInput.value) / 100, 0, 1);
+    applyVolume();
+  }
+
+  function onVolumeChange() {
+    onVolumeInput();
+    saveSettings({ soundVolume: Sound.volume });
+    unlock();
+    play('got');
+  }
+
+  function onMutedChange() {
+    Sound.muted = !!soundMutedInput.checked;
+    applyVolume();
+    renderControls();
+    saveSettings({ soundMuted: Sound.muted });
+  }
+
+  function testSound() {
+    unlock();
+    play('got');
+    setTimeout(() => play('pass'), 350);
+    setTimeout(() => play('buzzer'), 800);
+  }
+
+  // Wire everything once
+  function initSound(settings) {
+    if (typeof settings?.soundVolume === 'number') Sound.volume = clamp(settings.soundVolume, 0, 1);
+    if (typeof settings?.soundMuted === 'boolean') Sound.muted = settings.soundMuted;
+    renderControls();
+
+    soundVolumeInput.addEventListener('input', onVolumeInput);
+    soundVolumeInput.addEventListener('change', onVolumeChange);
+    soundMutedInput.addEventListener('change', onMutedChange);
+    soundTestBtn.addEventListener('click', testSound);
+  }
+
+  return {
+    initSound,
+    unlock,
+    play,
+  };
+}
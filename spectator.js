@@ -0,0 +1,175 @@
+// Guess the Phrase — spectator view (spectator.html)
+// Handles: the big-screen layout a cast laptop tab shows: timer, score, whose turn it is,
+// recently guessed phrases and the scoreboard. Driven entirely by the game window's
+// BroadcastChannel events (see broadcast.js); it asks for the current status on load.
+
+import { SPECTATOR_CHANNEL, canBroadcast } from './broadcast.js';
+
+(() => {
+  'use strict';
+
+  const $ = (sel) => document.querySelector(sel);
+
+  const specMode = $('#specMode');
+  const specFullscreenBtn = $('#specFullscreenBtn');
+  const specTeam = $('#specTeam');
+  const specHeadline = $('#specHeadline');
+  const specTime = $('#specTime');
+  const specScore = $('#specScore');
+  const specCounts = $('#specCounts');
+  const specFlash = $('#specFlash');
+  const specRecent = $('#specRecent');
+  const specRecentEmpty = $('#specRecentEmpty');
+  const specStandingsCard = $('#specStandingsCard');
+  const specStandings = $('#specStandings');
+  const specUnsupported = $('#specUnsupported');
+
+  const LOW_TIME_SECONDS = 10;
+  const FLASH_MS = 900;
+
+  const FLASHES = {
+    got: { kind: 'got', text: 'Got it!' },
+    pass: { kind: 'pass', text: 'Pass' },
+    buzz: { kind: 'end', text: 'Buzz!' },
+    next: { kind: '', text: 'Next' }
+  };
+
+  let flashTimerId = null;
+
+  // -----------------------------
+  // Rendering
+  // -----------------------------
+  function headline(status) {
+    const team = status.team?.name;
+    switch (status.phase) {
+      case 'turn':
+        return team ? `Up next: ${team}` : 'Up next';
+      case 'countdown':
+        return 'Get ready…';
+      case 'running':
+        return team ? `${team} is playing` : 'Playing';
+      case 'paused':
+        return 'Paused';
+      case 'finished':
+        return `Round over${status.reason ? ` — ${status.reason}` : ''}`;
+      default:
+        return 'Waiting for the next round';
+    }
+  }
+
+  function renderStatus(status) {
+    specHeadline.textContent = headline(status);
+    specMode.textContent = status.mode || '';
+
+    specTeam.hidden = !status.team;
+    specTeam.textContent = status.team?.name ?? '';
+    specTeam.style.borderColor = status.team?.color ?? '';
+
+    const live = ['countdown', 'running', 'paused'].includes(status.phase);
+    specTime.textContent = status.timed ? String(status.timeLeft) : '—';
+    specTime.classList.toggle('spec-time-low', live && status.timed && status.timeLeft <= LOW_TIME_SECONDS);
+    specScore.textContent = String(status.score);
+
+    const counts = [`${status.got} got it`, `${status.pass} pass${status.pass === 1 ? '' : 'es'}`];
+    if (status.buzz) counts.push(`${status.buzz} buzzed`);
+    specCounts.textContent = counts.join(' · ');
+
+    renderRecent(status.recent || []);
+    renderStandings(status.teams || []);
+  }
+
+  function renderRecent(phrases) {
+    specRecent.textContent = '';
+    for (const phrase of phrases) {
+      const li = document.createElement('li');
+      li.textContent = phrase;
+      specRecent.appendChild(li);
+    }
+    specRecentEmpty.hidden = phrases.length > 0;
+  }
+
+  function renderStandings(teams) {
+    specStandingsCard.hidden = teams.length === 0;
+    specStandings.textContent = '';
+    const sorted = teams.slice().sort((a, b) => b.score - a.score);
+    for (const team of sorted) {
+      const li = document.createElement('li');
+      li.className = 'standing';
+
+      const swatch = document.createElement('span');
+      swatch.className = 'team-swatch';
+      swatch.style.background = team.color;
+
+      const name = document.createElement('span');
+      name.className = 'standing-name';
+      name.textContent = team.name;
+
+      const score = document.createElement('span');
+      score.className = 'standing-score';
+      score.textContent = String(team.score);
+
+      li.append(swatch, name, score);
+      specStandings.appendChild(li);
+    }
+  }
+
+  function flash(action) {
+    const f = FLASHES[action];
+    if (!f) return;
+    specFlash.className = `spec-flash show ${f.kind}`.trim();
+    specFlash.textContent = f.text;
+    clearTimeout(flashTimerId);
+    flashTimerId = setTimeout(() => {
+      specFlash.className = 'spec-flash';
+      specFlash.textContent = '';
+    }, FLASH_MS);
+  }
+
+  // -----------------------------
+  // Events from the game window
+  // -----------------------------
+  function onMessage(e) {
+    const msg = e.data;
+    if (!msg || typeof msg !== 'object' || !msg.status) return;
+    renderStatus(msg.status);
+    if (msg.type === 'card') flash(msg.detail?.action);
+  }
+
+  // -----------------------------
+  // Fullscreen (TVs: hide the browser chrome)
+  // -----------------------------
+  function toggleFullscreen() {
+    const el = document.documentElement;
+    const isFs = document.fullscreenElement || document.webkitFullscreenElement;
+    const fn = isFs
+      ? document.exitFullscreen || document.webkitExitFullscreen
+      : el.requestFullscreen || el.webkitRequestFullscreen;
+    if (!fn) return;
+    try {
+      const res = fn.call(isFs ? document : el);
+      if (res && typeof res.catch === 'function') res.catch(() => {});
+    } catch {
+      // ignore
+    }
+  }
+
+  // -----------------------------
+  // Boot
+  // -----------------------------
+  function init() {
+    const el = document.documentElement;
+    specFullscreenBtn.hidden = !(el.requestFullscreen || el.webkitRequestFullscreen);
+    specFullscreenBtn.addEventListener('click', toggleFullscreen);
+
+    if (!canBroadcast()) {
+      specUnsupported.hidden = false;
+      return;
+    }
+    const channel = new BroadcastChannel(SPECTATOR_CHANNEL);
+    channel.addEventListener('message', onMessage);
+    // The game window answers with its current status
+    channel.postMessage({ type: 'hello' });
+  }
+
+  init();
+})();
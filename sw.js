@@ -4,19 +4,42 @@
    Strategy:
    - Precache core app shell (index, css, js, sw itself)
    - Cache-first for same-origin requests
-   - Network fallback for navigation with cached index fallback
+   - Network-first for navigation; each page is cached under its own URL, and offline
+     the app's routes fall back to the cached index (other pages only to themselves)
    - Versioned cache name; bump SW_VERSION to force refresh
 */
 
-const SW_VERSION = 'v1.0.0';
+const SW_VERSION = 'v1.17.2';
 const CACHE_NAME = `gtp-cache-${SW_VERSION}`;
 
+// Pages that are not the game app: they must never be served as (or replaced by) index.html
+const STANDALONE_PAGES = ['./spectator.html'];
+
 // IMPORTANT: keep this list small and stable (app shell)
 const PRECACHE_URLS = [
   './',
   './index.html',
+  './spectator.html',
   './styles.css',
   './app.js',
+  './movement.js',
+  './calibration.js',
+  './gamestate.js',
+  './gamemodes.js',
+  './sound.js',
+  './haptics.js',
+  './admin.js',
+  './teams.js',
+  './history.js',
+  './deckbuilder.js',
+  './phrases.js',
+  './deckio.js',
+  './share.js',
+  './remote.js',
+  './broadcast.js',
+  './spectator.js',
+  './reel.js',
+  './qr.js',
   './sw.js'
 ];
 
@@ -66,16 +89,25 @@ self.addEventListener('fetch', (event) => {
     (req.headers.get('accept') || '').includes('text/html');
 
   if (isNavigation) {
+    const standalone = STANDALONE_PAGES.some((page) => new URL(page, self.location).pathname === url.pathname);
     event.respondWith((async () => {
+      const cache = await caches.open(CACHE_NAME);
       try {
         const fresh = await fetch(req);
-        // Update cache with latest index if possible
-        const cache = await caches.open(CACHE_NAME);
-        cache.put('./index.html', fresh.clone());
+        // Update this page's own cache entry if possible
+        if (fresh && fresh.status === 200 && fresh.type === 'basic') {
+          cache.put(req, fresh.clone());
+        }
         return fresh;
       } catch {
-        const cache = await caches.open(CACHE_NAME);
-        return (await cache.match('./index.html')) || (await cache.match('./')) || new Response('Offline', { status: 503 });
+        // Same page first (share/pair links only differ in ?query/#hash)
+        const cached = await cache.match(req, { ignoreSearch: true });
+        if (cached) return cached;
+        if (!standalone) {
+          const shell = (await cache.match('./index.html')) || (await cache.match('./'));
+          if (shell) return shell;
+        }
+        return new Response('Offline', { status: 503 });
       }
     })());
     return;
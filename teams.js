@@ -0,0 +1,352 @@
+// teams.js
+// Handles: team/player setup (names + colors), turn rotation, the "pass the phone"
+// interstitial and the match scoreboard that carries across rounds.
+// A finished round's points stay "pending" until the results screen is left,
+// so they can still be corrected before they count.
+// Expects you to pass in elements + callbacks (setScreen/saveSettings).
+
+const TEAM_COLORS = ['#4f8cff', '#ff5a6b', '#28d17c', '#ffd24a', '#b07cff', '#ff9f43'];
+const MAX_TEAMS = 6;
+
+export function createTeamsController({
+  elements,
+  setScreen,
+  saveSettings,
+}) {
+  const {
+    teamModeInput,
+    teamsPanel,
+    teamList,
+    addTeamBtn,
+    turnsPerTeamInput,
+    targetScoreInput,
+    turnTeamName,
+    turnRoundLabel,
+    turnStandings,
+    turnBadge,
+    standingsCard,
+    standingsList,
+    matchStatus,
+  } = elements;
+
+  // Setup config (persisted in settings)
+  const Config = {
+    enabled: false,
+    teams: [
+      { name: 'Team A', color: TEAM_COLORS[0] },
+      { name: 'Team B', color: TEAM_COLORS[1] }
+    ],
+    turnsPerTeam: 3, // 0 = no limit
+    targetScore: 0   // 0 = no target
+  };
+
+  // Live match (memory only; app.js keeps a copy in the round snapshot, see getMatch)
+  const Match = {
+    teams: [], // { name, color, score, turns }
+    turn: 0,
+    pending: null // { points } for the current team's finished round
+  };
+
+  // -----------------------------
+  // Config + persistence
+  // -----------------------------
+  function persistConfig() {
+    saveSettings({
+      teamMode: Config.enabled,
+      teams: Config.teams,
+      turnsPerTeam: Config.turnsPerTeam,
+      targetScore: Config.targetScore
+    });
+  }
+
+  function applySettings(settings) {
+    if (!settings) return;
+    if (typeof settings.teamMode === 'boolean') Config.enabled = settings.teamMode;
+    if (Array.isArray(settings.teams) && settings.teams.length > 0) {
+      Config.teams = settings.teams
+        .filter((t) => t && typeof t.name === 'string')
+        .slice(0, MAX_TEAMS)
+        .map((t, i) => ({ name: t.name, color: t.color || TEAM_COLORS[i % TEAM_COLORS.length] }));
+    }
+    if (typeof settings.turnsPerTeam === 'number') Config.turnsPerTeam = settings.turnsPerTeam;
+    if (typeof settings.targetScore === 'number') Config.targetScore = settings.targetScore;
+  }
+
+  function readNumber(input, min, max) {
+    const n = Math.round(Number(input.value));
+    const value = Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : 0;
+    input.value = String(value);
+    return value;
+  }
+
+  function isEnabled() {
+    return Config.enabled && Config.teams.length > 1;
+  }
+
+  // -----------------------------
+  // Setup editor
+  // -----------------------------
+  function renderEditor() {
+    teamModeInput.checked = Config.enabled;
+    teamsPanel.hidden = !Config.enabled;
+    turnsPerTeamInput.value = String(Config.turnsPerTeam);
+    targetScoreInput.value = String(Config.targetScore);
+
+    teamList.textContent = '';
+    Config.teams.forEach((team, i) => {
+      const row = document.createElement('div');
+      row.className = 'row gap-sm team-row';
+
+      const color = document.createElement('input');
+      color.type = 'color';
+      color.className = 'team-color';
+      color.value = team.color;
+      color.setAttribute('aria-label', `Color for ${team.name}`);
+      color.addEventListener('input', () => {
+        team.color = color.value;
+        persistConfig();
+      });
+
+      const name = document.createElement('input');
+      name.type = 'text';
+      name.className = 'input';
+      name.value = team.name;
+      name.maxLength = 24;
+      name.setAttribute('aria-label', `Team ${i + 1} name`);
+      name.addEventListener('change', () => {
+        team.name = name.value.trim() || `Team ${String.fromCharCode(65 + i)}`;
+        name.value = team.name;
+        persistConfig();
+      });
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'btn btn-ghost btn-sm';
+      remove.textContent = 'Remove';
+      remove.disabled = Config.teams.length <= 2;
+      remove.addEventListener('click', () => {
+        Config.teams.splice(i, 1);
+        persistConfig();
+        renderEditor();
+      });
+
+      row.append(color, name, remove);
+      teamList.appendChild(row);
+    });
+
+    addTeamBtn.disabled = Config.teams.length >= MAX_TEAMS;
+  }
+
+  // -----------------------------
+  // Match flow
+  // -----------------------------
+  function startMatch() {
+    Match.teams = Config.teams.map((t) => ({ ...t, score: 0, turns: 0 }));
+    Match.turn = 0;
+    Match.pending = null;
+  }
+
+  function currentTeam() {
+    return Match.teams[Match.turn] || null;
+  }
+
+  function nextTeam() {
+    return Match.teams[(Match.turn + 1) % Match.teams.length] || null;
+  }
+
+  function setPending(points) {
+    Match.pending = { points };
+  }
+
+  // Scores/turns as they will be once the pending round is committed
+  function projectedTeams() {
+    return Match.teams.map((t, i) => {
+      if (!Match.pending || i !== Match.turn) return { ...t };
+      return { ...t, score: t.score + Match.pending.points, turns: t.turns + 1 };
+    });
+  }
+
+  function isMatchOver() {
+    const teams = projectedTeams();
+    // No match in progress (e.g. team mode switched on after a solo round)
+    if (teams.length === 0) return true;
+
+    const turns = teams.map((t) => t.turns);
+    const evenTurns = turns.every((n) => n === turns[0]);
+
+    if (Config.turnsPerTeam > 0 && turns.every((n) => n >= Config.turnsPerTeam)) return true;
+    // Only stop on a target once every team has had the same number of turns
+    if (Config.targetScore > 0 && evenTurns && teams.some((t) => t.score >= Config.targetScore)) return true;
+    return false;
+  }
+
+  // Some turns played and not over yet (Start offers to carry on instead of resetting)
+  function isMatchInProgress() {
+    return Match.teams.some((t) => t.turns > 0) && !isMatchOver();
+  }
+
+  function commitRound() {
+    if (!Match.pending) return;
+    const team = currentTeam();
+    team.score += Match.pending.points;
+    team.turns += 1;
+    Match.pending = null;
+    Match.turn = (Match.turn + 1) % Match.teams.length;
+  }
+
+  // Plain copy of the live match, and the way back (resuming a round after a reload)
+  function getMatch() {
+    return {
+      teams: Match.teams.map((t) => ({ ...t })),
+      turn: Match.turn
+    };
+  }
+
+  function restoreMatch(saved) {
+    if (!saved || !Array.isArray(saved.teams) || saved.teams.length === 0) return false;
+    Match.teams = saved.teams.map((t) => ({
+      name: String(t.name ?? ''),
+      color: String(t.color ?? TEAM_COLORS[0]),
+      score: Number(t.score) || 0,
+      turns: Number(t.turns) || 0
+    }));
+    Match.turn = Math.min(Math.max(0, Number(saved.turn) || 0), Match.teams.length - 1);
+    Match.pending = null;
+    return true;
+  }
+
+  function standings() {
+    return projectedTeams().sort((a, b) => b.score - a.score);
+  }
+
+  function winnerText() {
+    const [first, second] = standings();
+    if (!first) return '';
+    if (second && second.score === first.score) return 'It’s a tie!';
+    return `${first.name} wins!`;
+  }
+
+  function roundNumber() {
+    const played = Match.teams.reduce((sum, t) => sum + t.turns, 0);
+    return Math.floor(played / Math.max(1, Match.teams.length)) + 1;
+  }
+
+  function roundLabel() {
+    const n = roundNumber();
+    return Config.turnsPerTeam > 0 ? `Round ${n} of ${Config.turnsPerTeam}` : `Round ${n}`;
+  }
+
+  // -----------------------------
+  // Rendering
+  // -----------------------------
+  function renderStandingsList(listEl) {
+    listEl.textContent = '';
+    for (const team of standings()) {
+      const li = document.createElement('li');
+      li.className = 'standing';
+
+      const swatch = document.createElement('span');
+      swatch.className = 'team-swatch';
+      swatch.style.background = team.color;
+
+      const name = document.createElement('span');
+      name.className = 'standing-name';
+      name.textContent = team.name;
+
+      const score = document.createElement('span');
+      score.className = 'standing-score';
+      score.textContent = String(team.score);
+
+      li.append(swatch, name, score);
+      listEl.appendChild(li);
+    }
+  }
+
+  function showTurnScreen() {
+    const team = currentTeam();
+    if (!team) return;
+    turnTeamName.textContent = team.name;
+    turnTeamName.style.color = team.color;
+    turnRoundLabel.textContent = `${roundLabel()}${Config.targetScore > 0 ? ` · first to ${Config.targetScore}` : ''}`;
+    renderStandingsList(turnStandings);
+    setScreen('turn');
+  }
+
+  function renderTurnBadge() {
+    const team = isEnabled() ? currentTeam() : null;
+    turnBadge.hidden = !team;
+    if (!team) return;
+    turnBadge.textContent = team.name;
+    turnBadge.style.borderColor = team.color;
+    turnBadge.style.color = team.color;
+  }
+
+  function renderStandings() {
+    standingsCard.hidden = !isEnabled();
+    if (!isEnabled()) return;
+
+    renderStandingsList(standingsList);
+    const team = currentTeam();
+    const points = Match.pending ? Match.pending.points : 0;
+    const roundLine = team ? `${team.name} scored ${points} this round.` : '';
+    matchStatus.textContent = isMatchOver()
+      ? `${roundLine} Match over — ${winnerText()}`
+      : `${roundLine} Up next: ${nextTeam()?.name ?? ''}.`;
+  }
+
+  function nextLabel() {
+    if (isMatchOver()) return 'New match';
+    return `Next: ${nextTeam()?.name ?? 'team'}`;
+  }
+
+  // Wire everything once
+  function initTeams(settings) {
+    applySettings(settings);
+    renderEditor();
+
+    teamModeInput.addEventListener('change', () => {
+      Config.enabled = !!teamModeInput.checked;
+      teamsPanel.hidden = !Config.enabled;
+      persistConfig();
+    });
+
+    addTeamBtn.addEventListener('click', () => {
+      if (Config.teams.length >= MAX_TEAMS) return;
+      const i = Config.teams.length;
+      Config.teams.push({
+        name: `Team ${String.fromCharCode(65 + i)}`,
+        color: TEAM_COLORS[i % TEAM_COLORS.length]
+      });
+      persistConfig();
+      renderEditor();
+    });
+
+    turnsPerTeamInput.addEventListener('change', () => {
+      Config.turnsPerTeam = readNumber(turnsPerTeamInput, 0, 50);
+      persistConfig();
+    });
+
+    targetScoreInput.addEventListener('change', () => {
+      Config.targetScore = readNumber(targetScoreInput, 0, 999);
+      persistConfig();
+    });
+  }
+
+  return {
+    initTeams,
+    isEnabled,
+    startMatch,
+    currentTeam,
+    setPending,
+    commitRound,
+    isMatchOver,
+    isMatchInProgress,
+    roundLabel,
+    getMatch,
+    restoreMatch,
+    showTurnScreen,
+    renderTurnBadge,
+    renderStandings,
+    nextLabel,
+  };
+}
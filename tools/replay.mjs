@@ -0,0 +1,300 @@
+// replay.mjs
+// Handles: replaying recorded input traces (see "Input traces" in movement.js) through
+// createMovementController headlessly, with a fake clock and stand-in DOM nodes, and checking
+// the got/pass/next/buzz decisions it makes.
+//
+// Usage: node tools/replay.mjs [trace.json | directory ...]     (default: traces/)
+//
+// A trace passes when the replayed card decisions match its "expected" list (written from the
+// round log *after* referee corrections, so a mis-swipe fixed on the results screen becomes a
+// regression case) or, without one, the decisions the app made live ("actions").
+// Exits with code 1 if any trace fails.
+// Traces with userAgent "hand-made" are written fixtures, not recordings; the summary counts
+// them separately, since they only show the detector agrees with inputs written to match it.
+
+import { readFileSync, readdirSync, statSync } from 'node:fs';
+import { join, relative } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+import { createMovementController, TRACE_FORMAT } from '../movement.js';
+import { createGameState } from '../gamestate.js';
+
+const CARD_ACTIONS = ['got', 'pass', 'next', 'buzz'];
+const HAND_MADE = 'hand-made';
+const REPO_ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+// -----------------------------
+// Fake clock
+// -----------------------------
+function createClock(start) {
+  let time = start;
+  let nextId = 1;
+  const timers = new Map(); // id -> { at, fn }
+
+  function advanceTo(target) {
+    for (;;) {
+      let due = null;
+      for (const [id, timer] of timers) {
+        if (timer.at <= target && (!due || timer.at < due.at)) due = { id, ...timer };
+      }
+      if (!due) break;
+      timers.delete(due.id);
+      time = Math.max(time, due.at);
+      due.fn();
+    }
+    time = Math.max(time, target);
+  }
+
+  return {
+    now: () => time,
+    setTimeout: (fn, ms = 0) => {
+      const id = nextId++;
+      timers.set(id, { at: time + ms, fn });
+      return id;
+    },
+    clearTimeout: (id) => timers.delete(id),
+    advanceTo,
+  };
+}
+
+// -----------------------------
+// Stand-in DOM: capture + bubble through parent links, enough for movement.js
+// -----------------------------
+class FakeEvent {
+  constructor(type, fields = {}) {
+    Object.assign(this, fields);
+    this.type = type;
+    this.defaultPrevented = false;
+    this.propagationStopped = false;
+  }
+
+  preventDefault() {
+    this.defaultPrevented = true;
+  }
+
+  stopPropagation() {
+    this.propagationStopped = true;
+  }
+}
+
+class FakeNode {
+  constructor(name, parent = null) {
+    this.name = name;
+    this.parent = parent;
+    this.listeners = [];
+    this.hidden = false;
+    this.checked = false;
+    this.textContent = '';
+  }
+
+  addEventListener(type, fn, options) {
+    const capture = options === true || !!(options && options.capture);
+    this.listeners.push({ type, fn, capture });
+  }
+
+  removeEventListener(type, fn, options) {
+    const capture = options === true || !!(options && options.capture);
+    this.listeners = this.listeners.filter((l) => !(l.type === type && l.fn === fn && l.capture === capture));
+  }
+
+  // Capture listeners root -> target, then bubble listeners target -> root
+  dispatch(event) {
+    event.target = this;
+    const path = [];
+    for (let node = this; node; node = node.parent) path.unshift(node);
+
+    const steps = [
+      ...path.map((node) => [node, true]),
+      ...path.slice().reverse().map((node) => [node, false])
+    ];
+    for (const [node, capture] of steps) {
+      for (const l of node.listeners.slice()) {
+        if (l.type === event.type && l.capture === capture) l.fn.call(node, event);
+      }
+      if (event.propagationStopped) break;
+    }
+    return event;
+  }
+}
+
+// -----------------------------
+// Replay one trace
+// -----------------------------
+export function replayTrace(trace) {
+  if (!trace || trace.format !== TRACE_FORMAT) throw new Error(`not a ${TRACE_FORMAT} file`);
+
+  const start = Date.parse(trace.recordedAt) || 1e12;
+  const clock = createClock(start);
+
+  const doc = new FakeNode('document');
+  const stage = new FakeNode('stage', doc);
+  const nodes = {
+    stage,
+    tapLeft: new FakeNode('tapLeft', stage),
+    tapRight: new FakeNode('tapRight', stage),
+    nextBtn: new FakeNode('nextBtn', doc),
+    endBtn: new FakeNode('endBtn', doc),
+    hintBtn: new FakeNode('hintBtn', doc),
+    buzzBtn: new FakeNode('buzzBtn', doc),
+    pauseBtn: new FakeNode('pauseBtn', doc),
+    resumeBtn: new FakeNode('resumeBtn', doc),
+    pauseEndBtn: new FakeNode('pauseEndBtn', doc)
+  };
+
+  const orientation = new FakeNode('screen.orientation');
+  orientation.angle = 0;
+  const win = new FakeNode('window');
+  win.screen = { orientation };
+  win.navigator = {};
+  win.setTimeout = clock.setTimeout;
+  win.clearTimeout = clock.clearTimeout;
+
+  const Game = createGameState();
+  Game.go('countdown');
+  Game.go('running');
+
+  const State = {
+    game: Game,
+    tiltEnabled: !!trace.tiltEnabled,
+    tiltPermissionGranted: true,
+    tiltListenerAttached: false,
+    tiltLastActionAt: 0,
+    tiltArmed: true,
+    tiltNeutralBeta: 0,
+    tiltHasBaseline: false
+  };
+
+  const Movement = createMovementController({
+    State,
+    elements: {
+      gameStage: stage,
+      tapLeft: nodes.tapLeft,
+      tapRight: nodes.tapRight,
+      nextBtn: nodes.nextBtn,
+      endBtn: nodes.endBtn,
+      hintBtn: nodes.hintBtn,
+      buzzBtn: nodes.buzzBtn,
+      pauseBtn: nodes.pauseBtn,
+      resumeBtn: nodes.resumeBtn,
+      pauseEndBtn: nodes.pauseEndBtn,
+      tiltStatus: new FakeNode('tiltStatus'),
+      motionPermBtn: new FakeNode('motionPermBtn'),
+      tiltEnabledInput: new FakeNode('tiltEnabled')
+    },
+    now: clock.now,
+    win,
+    doc,
+  });
+
+  // Same rules app.js applies to the action stream (the phase already filters what arrives)
+  const decisions = [];
+  const log = [];
+  Movement.onAction(({ action, source, at }) => {
+    log.push({ t: at - start, action, source });
+    if (action === 'end') Game.go('finished');
+    else if (action === 'pause') Game.go(Game.is('paused') ? 'running' : 'paused');
+    else if (CARD_ACTIONS.includes(action)) decisions.push(action);
+  });
+
+  Movement.initMovement({ keyBindings: trace.keyBindings });
+  Movement.onRoundStartResetTiltState();
+  Movement.setTiltProfile(trace.tilt);
+  Movement.maybeEnableTiltDuringGame();
+
+  for (const e of trace.events || []) {
+    clock.advanceTo(start + e.t);
+    if (!Game.inRound()) break;
+
+    if (e.type === 'deviceorientation') {
+      if (typeof e.angle === 'number' && e.angle !== orientation.angle) {
+        orientation.angle = e.angle;
+        orientation.dispatch(new FakeEvent('change'));
+      }
+      win.dispatch(new FakeEvent('deviceorientation', { beta: e.beta, gamma: e.gamma }));
+    } else if (e.type === 'keydown') {
+      doc.dispatch(new FakeEvent('keydown', { key: e.key, repeat: !!e.repeat }));
+    } else if (e.type.startsWith('touch')) {
+      const point = { clientX: e.x, clientY: e.y };
+      const touches = Array.from({ length: e.touches || 0 }, () => point);
+      nodes[e.target || 'stage'].dispatch(new FakeEvent(e.type, { touches, changedTouches: [point] }));
+    } else {
+      nodes[e.target || 'stage'].dispatch(new FakeEvent(e.type, { clientX: e.x, clientY: e.y }));
+    }
+  }
+  // Let pending long-press timers etc. run out
+  const last = (trace.events || []).reduce((max, e) => Math.max(max, e.t), 0);
+  clock.advanceTo(start + last + 2000);
+  Movement.disableTiltListener();
+
+  return { decisions, log };
+}
+
+function expectedFor(trace) {
+  if (Array.isArray(trace.expected)) return trace.expected.filter((a) => CARD_ACTIONS.includes(a));
+  // Live decisions, minus those the app ignored while paused or after the round ended
+  const out = [];
+  let paused = false;
+  for (const { action } of trace.actions || []) {
+    if (action === 'end') break;
+    if (action === 'pause') paused = !paused;
+    else if (!paused && CARD_ACTIONS.includes(action)) out.push(action);
+  }
+  return out;
+}
+
+// -----------------------------
+// CLI
+// -----------------------------
+function collectFiles(paths) {
+  const files = [];
+  for (const p of paths) {
+    if (statSync(p).isDirectory()) {
+      for (const name of readdirSync(p).sort()) {
+        if (name.endsWith('.json')) files.push(join(p, name));
+      }
+    } else {
+      files.push(p);
+    }
+  }
+  return files;
+}
+
+function main(args) {
+  const files = collectFiles(args.length ? args : [join(REPO_ROOT, 'traces')]);
+  let failed = 0;
+  let handMade = 0;
+
+  for (const file of files) {
+    const label = relative(process.cwd(), file) || file;
+    let trace;
+    try {
+      trace = JSON.parse(readFileSync(file, 'utf8'));
+      const kind = trace.userAgent === HAND_MADE ? ', hand-made' : '';
+      if (kind) handMade += 1;
+      const { decisions, log } = replayTrace(trace);
+      const expected = expectedFor(trace);
+      if (decisions.join(',') === expected.join(',')) {
+        console.log(`PASS ${label} (${decisions.length} decision${decisions.length === 1 ? '' : 's'}${kind})`);
+        continue;
+      }
+      failed += 1;
+      console.log(`FAIL ${label}`);
+      console.log(`  expected: ${expected.join(', ') || '(none)'}`);
+      console.log(`  replayed: ${decisions.join(', ') || '(none)'}`);
+      for (const entry of log) console.log(`    ${String(entry.t).padStart(6)} ms  ${entry.action} (${entry.source})`);
+    } catch (err) {
+      failed += 1;
+      console.log(`FAIL ${label}: ${err.message}`);
+    }
+  }
+
+  console.log(`${files.length - failed}/${files.length} traces passed`);
+  const recorded = files.length - handMade;
+  if (handMade) console.log(`${recorded} recorded on a device, ${handMade} hand-made`);
+  if (files.length && !recorded) console.log('No device recordings yet: add one with "Download input trace" (see README).');
+  if (failed) process.exitCode = 1;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main(process.argv.slice(2));
+}